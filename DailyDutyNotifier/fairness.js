@@ -0,0 +1,81 @@
+// --- 公平性ポリシー (担当者の選び方) ---
+// 候補者の並び順と、連続して担当しないための除外を決める。selectFirstDutyMember と createRotationList で使う。
+//   weight            メンバーごとの重み (既定 1)。0.5 なら担当回数の半分で他の人と同じ扱いになる (パートタイムなど)
+//   cooldownDays      直近この稼働日数のうちに担当した人は選ばない (既定 1 = 前日の担当者のみ除外)
+//   countingPeriod    回数を数える期間: all (累計) / month / quarter / year
+//   periodCarryOver   期が変わるときに前期の回数を持ち越す割合 (0 = リセット, 0.5 = 半分に減衰, 1 = 累計と同じ)
+// dutyCount は累計のまま変えず、期の始めの回数 (periodBaseCounts) を DutyState に記録して差分で比べる。
+
+export const DEFAULT_COOLDOWN_DAYS = 1;
+export const COUNTING_PERIODS = ['all', 'month', 'quarter', 'year'];
+const MAX_RECENT_ASSIGNMENTS = 31; // DutyState に残す直近の担当者の件数 (cooldownDays の上限)
+
+// 日付 (yyyy-MM-dd) が属する期のキー
+export const getPeriodKey = (dateStr, countingPeriod) => {
+  const [year, month] = dateStr.split('-');
+  switch (countingPeriod) {
+    case 'month': return `${year}-${month}`;
+    case 'quarter': return `${year}-Q${Math.ceil(Number(month) / 3)}`;
+    case 'year': return year;
+    default: return 'all';
+  }
+};
+
+// ★ 今日の期と、期の始めの回数を決める
+// 期が変わった (またはポリシーを有効にした最初の日) ら、現在の dutyCount から基準を作り直す
+export const resolveCountingPeriod = ({ countingPeriod = 'all', periodCarryOver = 0 }, state, members, dateStr) => {
+  const periodKey = getPeriodKey(dateStr, countingPeriod);
+  if (countingPeriod === 'all') {
+    return { periodKey, periodBaseCounts: {} };
+  }
+  if (state?.periodKey === periodKey) {
+    return { periodKey, periodBaseCounts: state.periodBaseCounts || {} };
+  }
+
+  // 前期の回数 (前期の基準がなければ累計を前期分とみなす) のうち periodCarryOver の割合だけ持ち越す
+  const previousBaseCounts = state?.periodKey && state.periodKey !== 'all' ? state.periodBaseCounts || {} : {};
+  const periodBaseCounts = Object.fromEntries(members.map(member => {
+    const carried = (member.dutyCount - (previousBaseCounts[member.memberId] ?? 0)) * periodCarryOver;
+    return [member.memberId, Math.round((member.dutyCount - carried) * 100) / 100];
+  }));
+  return { periodKey, periodBaseCounts };
+};
+
+// 直近の担当者 (新しい順)
+// DutyState には前日までの recentAssignments と、State の日 (前回の稼働日) の最終的な担当者が入っている
+export const getRecentAssignments = (state, todayStr) => {
+  const entries = [...(state?.recentAssignments || [])];
+  if (state?.assignmentDate && state.assignmentDate < todayStr && state.currentAssignedMemberId) {
+    entries.push({ date: state.assignmentDate, memberId: state.currentAssignedMemberId });
+  }
+  return entries
+    .filter(entry => entry.date < todayStr)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, MAX_RECENT_ASSIGNMENTS);
+};
+
+const weightOf = (member) => (Number(member.weight) > 0 ? Number(member.weight) : 1);
+
+// ★ ポリシーを作成
+// periodBaseCounts は resolveCountingPeriod の結果 (期の始めの回数)
+export const createFairnessPolicy = ({ cooldownDays = DEFAULT_COOLDOWN_DAYS } = {}, { periodBaseCounts = {} } = {}) => {
+  // 今期の担当回数
+  const periodCountOf = (member) => (member.dutyCount || 0) - (periodBaseCounts[member.memberId] ?? 0);
+  // 重みで割った負担 (小さい人から選ぶ)
+  const loadOf = (member) => periodCountOf(member) / weightOf(member);
+
+  // 負担昇順 -> 表示順昇順 -> memberId
+  const compareMembers = (a, b) => {
+    const loadA = loadOf(a); const loadB = loadOf(b);
+    if (loadA !== loadB) return loadA - loadB;
+    const orderA = a.displayOrder ?? Infinity; const orderB = b.displayOrder ?? Infinity;
+    if (orderA !== orderB) return orderA - orderB;
+    return (a.memberId || '').localeCompare(b.memberId || '');
+  };
+
+  // 直近 days 稼働日の担当者
+  const cooldownMemberIds = (recentAssignments, days = cooldownDays) =>
+    new Set(recentAssignments.slice(0, Math.max(days, 0)).map(entry => entry.memberId));
+
+  return { cooldownDays, periodCountOf, loadOf, compareMembers, cooldownMemberIds };
+};
@@ -0,0 +1,67 @@
+// --- iCalendar (.ics) の作成 ---
+// 日直の予定を Google カレンダーや Outlook から購読できるよう、終日の予定 (VEVENT) を並べた VCALENDAR を作る (RFC 5545)
+// 行末は CRLF、1行は75オクテットまで (超える場合は折り返して次の行を空白で始める)
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+// TEXT 型の値のエスケープ (\ ; , と改行)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 75オクテットごとに折り返す (マルチバイト文字の途中では切らない)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const charOctets = Buffer.byteLength(char, 'utf8');
+    // 2行目以降は先頭の空白1文字分を含めて数える
+    if (octets + charOctets > MAX_LINE_OCTETS - (parts.length > 0 ? 1 : 0)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += charOctets;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+// yyyy-MM-dd -> yyyyMMdd (終日の予定の DATE 型)
+const toICalDate = (dateStr) => dateStr.replace(/-/g, '');
+// Date -> yyyyMMddTHHmmssZ (DTSTAMP 用の UTC 日時)
+const toICalDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const nextDate = (dateStr) => new Date(Date.parse(`${dateStr}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+
+// ★ VCALENDAR の文字列を作成
+// events: [{ uid, date: 'yyyy-MM-dd', summary, description?, tentative? }] (tentative は見込みの予定)
+export const createICalendar = ({ name, events, now = new Date() }) => {
+  const stamp = toICalDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//DailyDutyNotifier//Duty Calendar//JA',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toICalDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toICalDate(nextDate(event.date))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      `STATUS:${event.tentative ? 'TENTATIVE' : 'CONFIRMED'}`,
+      'TRANSP:TRANSPARENT', // 日直の予定で空き時間を埋めない
+      'END:VEVENT',
+    ]),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
@@ -1,254 +1,464 @@
 import { WebClient } from '@slack/web-api';
-import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, ScanCommand, GetCommand, PutCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
-import holiday_jp from '@holiday-jp/holiday_jp';
+import { timingSafeEqual } from 'crypto';
 import { formatInTimeZone } from 'date-fns-tz';
+import {
+  createWorkingDayCalendar, createDateListProvider, isBuiltInHolidayProvider, isoDayOfWeek, describeDayOffReason,
+  DEFAULT_WORK_WEEK, DEFAULT_HOLIDAY_CALENDARS,
+} from './calendar.js';
+import {
+  createFairnessPolicy, resolveCountingPeriod, getRecentAssignments, DEFAULT_COOLDOWN_DAYS, COUNTING_PERIODS,
+} from './fairness.js';
+import { createStorage } from './storage.js';
+import { createICalendar } from './icalendar.js';
+import { createMessageTemplates, isMemberAbsentOn, toMention, DEFAULT_LOCALE } from './templates.js';
 
 // --- 設定 ---
 const logger = console;
 const region = process.env.AWS_REGION || 'ap-northeast-1';
 const slackToken = process.env.SLACK_BOT_TOKEN;
-const slackChannelId = process.env.SLACK_CHANNEL_ID;
-const membersTableName = process.env.MEMBERS_TABLE_NAME;
+const slackApiUrl = process.env.SLACK_API_URL; // 任意: Slack API の URL (ローカル実行でスタブに向ける。例: http://localhost:3000/api/)
 const stateTableName = process.env.STATE_TABLE_NAME;
-const stateId = process.env.STATE_ID;
-const timeZone = process.env.TZ || 'Asia/Tokyo';
+const historyTableName = process.env.HISTORY_TABLE_NAME; // 任意: 担当履歴テーブル (未設定なら履歴・月次レポートは無効)
+const groupsTableName = process.env.GROUPS_TABLE_NAME;   // 任意: ローテーショングループのテーブル (未設定なら下記の環境変数で1グループ)
+const calendarsTableName = process.env.CALENDARS_TABLE_NAME; // 任意: 複数グループで共有する休日カレンダーのテーブル
+const reservationsTableName = process.env.RESERVATIONS_TABLE_NAME; // 任意: 担当予約 (日直の交換など) のテーブル
+// ★ 保存先: dynamodb (既定) / file (STORAGE_FILE の JSON に保存) / memory (STORAGE_FILE があれば初期データとして読み込む)
+const storageBackend = process.env.STORAGE_BACKEND || 'dynamodb';
+const storageFile = process.env.STORAGE_FILE;
+const useDynamo = storageBackend === 'dynamodb';
+// ★ グループ未使用時の設定 / グループ項目で省略された場合のデフォルト値
+const defaultChannelId = process.env.SLACK_CHANNEL_ID;
+const defaultMembersTableName = process.env.MEMBERS_TABLE_NAME;
+const defaultStateId = process.env.STATE_ID || (useDynamo ? undefined : 'default');
+const defaultTimeZone = process.env.TZ || 'Asia/Tokyo';
+// 稼働日カレンダーの設定 (カンマ区切り)
+const parseListEnv = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined);
+const defaultWorkWeek = parseListEnv(process.env.WORK_WEEK)?.map(Number) || DEFAULT_WORK_WEEK;               // 例: "1,2,3,4,5"
+const defaultHolidayCalendars = parseListEnv(process.env.HOLIDAY_CALENDARS) || DEFAULT_HOLIDAY_CALENDARS;  // 例: "japan,company"
+const defaultClosedDates = parseListEnv(process.env.CLOSED_DATES) || [];                                   // 例: "2025-12-29,2025-12-30"
+const defaultExtraWorkingDates = parseListEnv(process.env.EXTRA_WORKING_DATES) || [];                      // 例: "2025-11-08"
+// 了解確認 (ack_check) の設定
+const defaultAckDeadline = process.env.ACK_DEADLINE || '10:00';                                             // この時刻 (HH:mm) までに了解がなければ本人に DM
+const defaultAckEscalateAfterMinutes = Number(process.env.ACK_ESCALATE_AFTER_MINUTES) || 60;               // DM からさらにこの分数たっても了解がなければエスカレーション
+const defaultAckEscalation = process.env.ACK_ESCALATION || 'remind';                                       // remind: チャンネルでリマインド / reassign: 次の人に自動で交代
+// ★ 当番の種類 (ロール)。"morning:朝当番,closing:締め当番" の形式 (省略時は「日直」1つで従来どおり)
+const parseRolesEnv = (value) => parseListEnv(value)?.map(entry => {
+  const [roleId, name] = entry.split(':').map(v => v.trim());
+  return { roleId, name: name || roleId };
+});
+const defaultRoles = parseRolesEnv(process.env.DUTY_ROLES); // 省略時はロール名をテンプレートの defaultRoleName (日直) にする
+// 公平性ポリシーの設定 (fairness.js を参照)
+const parseNumberEnv = (value, fallback) => (value !== undefined && value !== '' && !Number.isNaN(Number(value)) ? Number(value) : fallback);
+const defaultCooldownDays = parseNumberEnv(process.env.COOLDOWN_DAYS, DEFAULT_COOLDOWN_DAYS);              // 直近この稼働日数の担当者は選ばない
+const defaultCountingPeriod = COUNTING_PERIODS.includes(process.env.COUNTING_PERIOD) ? process.env.COUNTING_PERIOD : 'all'; // all / month / quarter / year
+const defaultPeriodCarryOver = parseNumberEnv(process.env.PERIOD_CARRY_OVER, 0);                           // 期が変わるときに持ち越す回数の割合 (0 = リセット)
+// メンバー同期の設定 (どちらかを指定すると、定時実行の選出前に DutyMembers をそのメンバーに合わせる)
+const defaultSyncUsergroupId = process.env.SYNC_USERGROUP_ID;                                                // 例: S0123456789 (ユーザーグループ)
+const defaultSyncChannelId = process.env.SYNC_CHANNEL_ID;                                                    // 例: C0123456789 (チャンネルのメンバー)
+const defaultJoinCountPolicy = process.env.JOIN_COUNT_POLICY === 'min' ? 'min' : 'average';                  // 追加したメンバーの初期カウント: average / min
+// メッセージの言語と文言 (templates.js を参照)
+const parseJsonEnv = (name) => {
+  if (!process.env[name]) return undefined;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    logger.error(`Ignoring ${name}: ${error.message}`);
+    return undefined;
+  }
+};
+const defaultLocale = process.env.LOCALE || DEFAULT_LOCALE;                                                   // ja / en
+const defaultMessageTemplates = parseJsonEnv('MESSAGE_TEMPLATES') || {};                                      // 例: {"announcement":"📣 {date}: {mention}"}
+const defaultCalendarFeedToken = process.env.CALENDAR_FEED_TOKEN;                                          // .ics フィードの URL に付けるトークン (未設定ならフィードは無効)
 
-// 環境変数チェック
-if (!slackToken || !slackChannelId || !membersTableName || !stateTableName || !stateId || !timeZone) { // ★ state関連とTZもチェック
+// 環境変数チェック (DynamoDB でグループテーブルを使わない場合はチャンネル・メンバー・State の指定が必須)
+if (!slackToken || (useDynamo && (!stateTableName || (!groupsTableName && (!defaultChannelId || !defaultMembersTableName || !defaultStateId))))) {
   logger.error('Error: Required environment variables are missing.');
   throw new Error('Missing required environment variables.');
 }
 
-// AWS SDK クライアント
-const dynamoClient = new DynamoDBClient({ region });
-const docClient = DynamoDBDocumentClient.from(dynamoClient);
-const slackClient = new WebClient(slackToken);
-
-// --- ヘルパー関数 ---
-const isWeekdayInZone = (date, tz) => {
-  // 1. 指定タイムゾーンでの曜日を取得 (1=月曜, ..., 7=日曜 - ISO 8601)
-  // formatInTimeZone を使って曜日番号('i')を取得し数値に変換
-  const dayOfWeek = parseInt(formatInTimeZone(date, tz, 'i'), 10);
-  logger.info(`[isWeekdayInZone] Checking date: ${formatInTimeZone(date, tz, 'yyyy-MM-dd HH:mm:ssXXX')}, ISO DayOfWeek (1-7): ${dayOfWeek}`);
-  // 土曜(6) または 日曜(7) かどうかをチェック
-  if (dayOfWeek === 6 || dayOfWeek === 7) {
-    logger.info(`Detected weekend (ISO Day: ${dayOfWeek}) in ${tz}. Skipping.`);
-    return false; // 土日なら false を返す
-  }
-
-  // 2. 日本の祝日かどうかチェック (@holiday-jp/holiday_jp は Date オブジェクトを渡せばOK)
-  // 注意: holiday_jp は内部で日本の日付として解釈するため、渡すDateオブジェクトのUTC時刻は意識しなくて良いはず
-  if (holiday_jp.isHoliday(date)) {
-    logger.info(`Detected holiday in Japan: ${formatInTimeZone(date, tz, 'yyyy-MM-dd')}`);
-    return false;
+// クライアント
+const storage = createStorage({
+  backend: storageBackend, filePath: storageFile,
+  region, stateTableName, historyTableName, groupsTableName, calendarsTableName, reservationsTableName,
+});
+const slackClient = new WebClient(slackToken, slackApiUrl ? { slackApiUrl } : {});
+
+// --- ローテーショングループ ---
+// 1グループ = 1つのローテーション (通知チャンネル・メンバーテーブル・DutyState の項目・設定を持つ)
+// DutyGroups の項目例: { groupId: 'team-a', channelId: 'C0123', membersTableName: 'DutyMembersTeamA', timeZone: 'Asia/Tokyo' }
+// 稼働日の設定 (workWeek, holidayCalendars, closedDates, extraWorkingDates) もグループごとに上書きできる
+// 公平性ポリシー (cooldownDays, countingPeriod, periodCarryOver) とロール (roles: [{ roleId, name }]) も同様
+// メッセージは locale (ja / en) と messageTemplates (文言ごとの上書き。環境変数 MESSAGE_TEMPLATES とマージ) で変えられる
+const normalizeGroup = (item) => ({
+  ...item,
+  name: item.name || item.groupId,
+  stateId: item.stateId || item.groupId,
+  membersTableName: item.membersTableName || defaultMembersTableName,
+  timeZone: item.timeZone || defaultTimeZone,
+  // DynamoDB のセット型で保存されていても扱えるよう配列に揃える
+  workWeek: item.workWeek ? Array.from(item.workWeek, Number) : defaultWorkWeek,
+  holidayCalendars: item.holidayCalendars ? Array.from(item.holidayCalendars) : defaultHolidayCalendars,
+  closedDates: item.closedDates ? Array.from(item.closedDates) : defaultClosedDates,
+  extraWorkingDates: item.extraWorkingDates ? Array.from(item.extraWorkingDates) : defaultExtraWorkingDates,
+  ackDeadline: item.ackDeadline || defaultAckDeadline,
+  ackEscalateAfterMinutes: Number(item.ackEscalateAfterMinutes) || defaultAckEscalateAfterMinutes,
+  ackEscalation: item.ackEscalation || defaultAckEscalation,
+  cooldownDays: parseNumberEnv(item.cooldownDays, defaultCooldownDays),
+  countingPeriod: COUNTING_PERIODS.includes(item.countingPeriod) ? item.countingPeriod : defaultCountingPeriod,
+  periodCarryOver: Math.min(Math.max(parseNumberEnv(item.periodCarryOver, defaultPeriodCarryOver), 0), 1),
+  locale: item.locale || defaultLocale,
+  messageTemplates: { ...defaultMessageTemplates, ...item.messageTemplates },
+  roles: Array.isArray(item.roles) && item.roles.length > 0
+    ? item.roles.map(role => ({ roleId: role.roleId, name: role.name || role.roleId }))
+    : defaultRoles || [{
+      roleId: 'duty',
+      name: createMessageTemplates({ locale: item.locale || defaultLocale, messageTemplates: { ...defaultMessageTemplates, ...item.messageTemplates } }).roleName,
+    }],
+  syncUsergroupId: item.syncUsergroupId || (item.syncChannelId ? undefined : defaultSyncUsergroupId),
+  syncChannelId: item.syncChannelId || (item.syncUsergroupId ? undefined : defaultSyncChannelId),
+  joinCountPolicy: item.joinCountPolicy === 'min' || item.joinCountPolicy === 'average' ? item.joinCountPolicy : defaultJoinCountPolicy,
+  calendarFeedToken: item.calendarFeedToken || defaultCalendarFeedToken,
+});
+
+// ★ ロールごとのグループ (DutyState の項目とメンバーのカウントの属性をロールごとに分ける)
+// 最初のロールは従来どおりの stateId / dutyCount を使うので、ロールを追加しても既存のデータはそのまま使える
+// 2つ目以降: stateId は `${stateId}#${roleId}`、カウントは dutyCount_${roleId}
+// ロールごとのグループにも getRoleGroups / toBaseGroup を使える (baseGroup に元のグループを持つ)
+const toBaseGroup = (group) => group.baseGroup || group;
+const getRoleGroups = (group) => {
+  const baseGroup = toBaseGroup(group);
+  return baseGroup.roles.map((role, index) => (index === 0
+    ? { ...baseGroup, baseGroup, role, countAttribute: 'dutyCount' }
+    : { ...baseGroup, baseGroup, role, stateId: `${baseGroup.stateId}#${role.roleId}`, countAttribute: `dutyCount_${role.roleId}` }));
+};
+
+const hasMultipleRoles = (group) => group.roles.length > 1;
+
+// 処理対象のグループ一覧を取得 (グループの設定がなければ環境変数から1グループを作る)
+const getRotationGroups = async () => {
+  const items = await storage.listGroups();
+  if (!items) {
+    if (!defaultChannelId) {
+      throw new Error('SLACK_CHANNEL_ID is required when no rotation groups are configured.');
+    }
+    return [normalizeGroup({ groupId: defaultStateId, channelId: defaultChannelId, stateId: defaultStateId })];
   }
-  return true;
+
+  const groups = items
+    .filter(item => item.enabled !== false) // enabled: false のグループは停止中
+    .map(normalizeGroup)
+    .filter(group => {
+      // メンバーテーブル名が必要なのは DynamoDB の場合のみ (ファイル / メモリでは groupId ごとにメンバーを持てる)
+      if (!group.groupId || !group.channelId || (useDynamo && !group.membersTableName)) {
+        logger.warn(`Skipping invalid rotation group (groupId, channelId and membersTableName are required): ${JSON.stringify(group)}`);
+        return false;
+      }
+      return true;
+    });
+  logger.info(`Loaded ${groups.length} rotation groups from ${storageBackend} storage: ${groups.map(g => g.groupId).join(', ')}`);
+  return groups;
 };
 
-// DutyStateテーブルから現在の状態を取得
-const getDutyState = async () => {
-  const command = new GetCommand({
-    TableName: stateTableName,
-    Key: { stateId: stateId },
-  });
-  try {
-    const { Item } = await docClient.send(command);
-    logger.info(`Duty state retrieved: ${JSON.stringify(Item)}`);
-    return Item || { lastAssignedMemberId: null, lastAssignmentDate: null }; // データなければデフォルト
-  } catch (error) {
-    logger.error(`Error getting duty state from ${stateTableName}: ${error}`);
-    throw error;
+// --- 稼働日カレンダー ---
+// ★ グループの稼働日カレンダーを作成
+// holidayCalendars に組み込み以外の名前 (例: 'company', 'us-office') があればストレージ (DutyCalendars テーブル) から読み込む
+// DutyCalendars の項目例: { calendarId: 'company', dates: ['2025-12-29', { date: '2026-04-01', name: '創立記念日' }] }
+const getGroupCalendar = async (group) => {
+  const customProviders = {};
+  const customNames = group.holidayCalendars.filter(name => !isBuiltInHolidayProvider(name));
+
+  for (const calendarId of customNames) {
+    try {
+      const Item = await storage.getCalendar(calendarId);
+      if (!Item) {
+        throw new Error(`Holiday calendar ${calendarId} not found.`);
+      }
+      customProviders[calendarId] = createDateListProvider(Item.dates, Item.name);
+      logger.info(`Loaded holiday calendar ${calendarId} (${Array.from(Item.dates || []).length} dates)`);
+    } catch (error) {
+      logger.error(`Error loading holiday calendar ${calendarId}: ${error}`);
+      throw error;
+    }
   }
+
+  return createWorkingDayCalendar(group, customProviders);
+};
+
+// DutyStateから現在の状態を取得
+const getDutyState = async (group) => {
+  const Item = await storage.getState(group);
+  logger.info(`Duty state retrieved: ${JSON.stringify(Item)}`);
+  return Item || { lastAssignedMemberId: null, lastAssignmentDate: null }; // データなければデフォルト
+};
+
+// DutyMembersから全メンバーを取得
+const getAllMembers = async (group) => {
+  const Items = await storage.listMembers(group);
+  logger.info(`Loaded ${Items.length} members of ${group.groupId}`);
+  // dutyCount が数値でない場合や存在しない場合に備えてデフォルト値0を設定 (absences も配列に揃える)
+  // ロールごとのグループなら、そのロールのカウント (countAttribute) を dutyCount として扱う
+  // ローテーションから抜けたメンバー (active: false) は含めない
+  return Items.filter(item => item.active !== false).map(item => ({
+    ...item,
+    dutyCount: Number(item[group.countAttribute || 'dutyCount']) || 0,
+    absences: Array.isArray(item.absences) ? item.absences : [],
+  }));
+};
+
+// --- メンバー同期 (Slack のユーザーグループ / チャンネル) ---
+// syncUsergroupId (または syncChannelId) を設定すると、定時実行の選出前に DutyMembers をそのメンバーに合わせる
+// 同期元のユーザーID一覧 (ユーザーグループは usergroups:read、チャンネルは channels:read / groups:read スコープが必要)
+const listSyncSourceUserIds = async (group) => {
+  if (group.syncUsergroupId) {
+    const { users } = await slackClient.usergroups.users.list({ usergroup: group.syncUsergroupId });
+    return users || [];
+  }
+  const userIds = [];
+  let cursor;
+  do {
+    const response = await slackClient.conversations.members({ channel: group.syncChannelId, limit: 200, cursor });
+    userIds.push(...(response.members || []));
+    cursor = response.response_metadata?.next_cursor;
+  } while (cursor);
+  return userIds;
+};
+
+// 追加したメンバーの初期カウント (ReselectDutyHandler の /duty join と同じ基準: 今のメンバーの平均 (切り捨て) か最小)
+const fairCountOf = (counts, policy) => {
+  if (counts.length === 0) return 0;
+  return policy === 'min' ? Math.min(...counts) : Math.floor(counts.reduce((sum, count) => sum + count, 0) / counts.length);
 };
 
-// DutyMembersテーブルから全メンバーを取得
-const getAllMembers = async () => {
-  const command = new ScanCommand({ TableName: membersTableName });
+// ★ DutyMembers を同期元に合わせる
+// 新しいユーザーは Slack のプロフィール名で追加し、いなくなったユーザーは active: false にする (カウントと履歴は残る)
+// 同期元の取得に失敗した・空だった場合は何も変えない (設定ミスで全員が外れないように)
+const syncMembersFromSlack = async (group) => {
+  const { groupId, joinCountPolicy } = group;
+  const source = group.syncUsergroupId ? `usergroup ${group.syncUsergroupId}` : `channel ${group.syncChannelId}`;
+  let sourceIds;
   try {
-    const { Items } = await docClient.send(command);
-    logger.info(`Scanned ${Items?.length || 0} members from ${membersTableName}`);
-    // dutyCount が数値でない場合や存在しない場合に備えてデフォルト値0を設定
-    return Items?.map(item => ({ ...item, dutyCount: Number(item.dutyCount) || 0 })) || [];
+    sourceIds = new Set(await listSyncSourceUserIds(group));
   } catch (error) {
-    logger.error(`Error scanning members from ${membersTableName}: ${error}`);
-    throw error;
+    logger.error(`[${groupId}] Failed to load members of ${source}: ${error.data?.error || error.message}. Using the current member list.`);
+    return;
+  }
+  if (sourceIds.size === 0) {
+    logger.warn(`[${groupId}] ${source} has no members. Skipping member sync.`);
+    return;
   }
-};
 
-// ★ メンバーリスト表示用ブロック作成 (displayOrder でソート)
-const createMemberListBlocks = (members) => {
-  if (!members || members.length === 0) return [];
+  const items = await storage.listMembers(group);
+  const itemsById = new Map(items.map(item => [item.memberId, item]));
+  const remainingItems = items.filter(item => item.active !== false && sourceIds.has(item.memberId));
+  const now = new Date().toISOString();
 
-  // ★★★ displayOrder でソート ★★★
-  members.sort((a, b) => {
-    const orderA = a.displayOrder ?? Infinity;
-    const orderB = b.displayOrder ?? Infinity;
-    if (orderA !== orderB) {
-      return orderA - orderB;
-    }
-    return (a.memberId || '').localeCompare(b.memberId || ''); // displayOrder が同じ場合の予備ソート
-  });
+  // 1. 同期元にいないメンバーを外す
+  for (const item of items.filter(item => item.active !== false && !sourceIds.has(item.memberId))) {
+    await storage.updateMember(group, item.memberId, { active: false, leftAt: now });
+    logger.info(`[${groupId}] Deactivated ${item.memberId} (not in ${source})`);
+  }
 
-  let memberListText = "*現在の担当回数 (表示順):*\n"; // タイトル変更
-  members.forEach(member => {
-    const name = member.memberName || member.memberId;
-    const count = member.dutyCount || 0;
-    memberListText += `• ${name}: ${count}回\n`;
-  });
+  // 2. 新しいメンバーを追加 / 抜けていたメンバーを戻す (戻る場合は以前の回数が基準より多ければそのまま)
+  const joiningIds = [...sourceIds].filter(userId => !itemsById.has(userId) || itemsById.get(userId).active === false);
+  if (joiningIds.length === 0) return;
+  const roleGroups = getRoleGroups(group);
+  const counts = Object.fromEntries(roleGroups.map(roleGroup =>
+    [roleGroup.countAttribute, fairCountOf(remainingItems.map(item => Number(item[roleGroup.countAttribute]) || 0), joinCountPolicy)]));
+  let displayOrder = Math.max(0, ...items.map(item => Number(item.displayOrder) || 0));
+  const joinedCounts = {};
 
-  return [
-    { type: 'divider' },
-    {
-      type: 'context',
-      elements: [{ type: 'mrkdwn', text: memberListText }]
+  for (const userId of joiningIds) {
+    const existing = itemsById.get(userId);
+    if (existing) {
+      joinedCounts[userId] = Object.fromEntries(Object.entries(counts).map(([name, count]) => [name, Math.max(Number(existing[name]) || 0, count)]));
+      await storage.updateMember(group, userId, { active: true, ...joinedCounts[userId] });
+      logger.info(`[${groupId}] Reactivated ${userId} (back in ${source})`);
+      continue;
     }
-  ];
+    let user;
+    try {
+      ({ user } = await slackClient.users.info({ user: userId }));
+    } catch (error) {
+      logger.warn(`[${groupId}] Could not get Slack profile of ${userId}: ${error.data?.error || error.message}. Skipping.`);
+      continue;
+    }
+    // ボット (チャンネルにいるこのアプリ自身など) と無効化されたユーザーは対象外
+    if (!user || user.is_bot || user.deleted || userId === 'USLACKBOT') continue;
+    displayOrder += 1;
+    joinedCounts[userId] = counts;
+    await storage.putMember(group, {
+      memberId: userId,
+      memberName: user.profile?.display_name || user.real_name || user.name || userId,
+      displayOrder,
+      ...counts,
+      absences: [],
+      joinedAt: now,
+    });
+    logger.info(`[${groupId}] Added ${userId} from ${source} with counts ${JSON.stringify(counts)}`);
+  }
+
+  // 3. 期ごとに数えている場合は、追加したメンバーの今期の回数も同じ基準になるよう期の始めの回数を追加する
+  for (const roleGroup of roleGroups) {
+    const state = await getDutyState(roleGroup);
+    if (!state.periodKey || state.periodKey === 'all' || Object.keys(joinedCounts).length === 0) continue;
+    const periodCount = fairCountOf(
+      remainingItems.map(item => (Number(item[roleGroup.countAttribute]) || 0) - (state.periodBaseCounts?.[item.memberId] ?? 0)), joinCountPolicy);
+    const periodBaseCounts = { ...state.periodBaseCounts };
+    Object.entries(joinedCounts).forEach(([userId, joined]) => { periodBaseCounts[userId] = joined[roleGroup.countAttribute] - periodCount; });
+    await storage.updateState(roleGroup, { periodBaseCounts });
+  }
 };
 
-// ★ 最初の担当者を選出するロジック (変更なし)
-const selectFirstDutyMember = (members, lastAssignmentState) => {
-  // lastAssignmentState から前日の担当者IDを取得 (もしあれば)
-  const yesterdayAssignedId = lastAssignmentState?.assignmentDate && lastAssignmentState.assignmentDate !== formatInTimeZone(new Date(), timeZone, 'yyyy-MM-dd') // 日付が変わっていたら考慮しない方が安全かも？要件次第
-    ? lastAssignmentState.currentAssignedMemberId
-    : null; // 前日のデータがない or 日付が同じなら考慮しない
+// ★ 担当予約 (日直の交換で決まった日など) の取得
+// DutyReservations の項目例: { stateId: 'team-a', reservationDate: '2025-04-10', memberId: 'U0123', reason: 'swap', swapWith: 'U0456' }
+// (/duty reserve で作った予約は reason: 'manual' で、createdBy と note (メモ) を持つ)
+const getReservationOn = async (group, dateStr) => {
+  if (!storage.hasReservations) return undefined;
+  const reservations = await storage.listReservations(group, dateStr);
+  return reservations.find(r => r.reservationDate === dateStr);
+};
 
-  logger.info(`Selecting first member, excluding yesterday's: ${yesterdayAssignedId}`);
-  let candidates = members.filter(m => m.memberId !== yesterdayAssignedId);
+// ★ 最初の担当者を選出するロジック (当日不在のメンバーは除外)
+// reservation (その日の担当予約) があれば、予約されたメンバーが不在でない限りそのメンバーにする
+// policy (fairness.js) の順 (重み付きの今期の回数 -> 表示順) で、直近 cooldownDays 稼働日の担当者を除いた先頭を選ぶ
+const selectFirstDutyMember = (members, lastAssignmentState, todayStr, reservation, policy = createFairnessPolicy()) => {
+  if (reservation) {
+    const reservedMember = members.find(m => m.memberId === reservation.memberId);
+    if (reservedMember && !isMemberAbsentOn(reservedMember, todayStr)) {
+      logger.info(`Using reservation on ${todayStr}: ${reservedMember.memberId} (${reservation.reason || 'reserved'})`);
+      return reservedMember;
+    }
+    logger.warn(`Reserved member ${reservation.memberId} on ${todayStr} is absent or no longer a member. Selecting as usual.`);
+  }
 
-  if (candidates.length === 0) {
-    logger.warn("No candidates after excluding yesterday's member. Considering all members.");
-    candidates = [...members];
+  // 不在期間に当日が含まれるメンバーは候補にしない
+  const availableMembers = members.filter(m => !isMemberAbsentOn(m, todayStr));
+  if (availableMembers.length < members.length) {
+    logger.info(`Excluding absent members on ${todayStr}: ${members.filter(m => isMemberAbsentOn(m, todayStr)).map(m => m.memberId).join(', ')}`);
   }
 
-  // カウント昇順 -> 表示順昇順でソート (従来通り)
-  candidates.sort((a, b) => {
-    const countA = a.dutyCount || 0; const countB = b.dutyCount || 0;
-    if (countA !== countB) return countA - countB;
-    const orderA = a.displayOrder ?? Infinity; const orderB = b.displayOrder ?? Infinity;
-    if (orderA !== orderB) return orderA - orderB;
-    return (a.memberId || '').localeCompare(b.memberId || '');
-  });
-  logger.info(`First member candidates sorted: ${candidates.map(m => m.memberId).join(', ')}`);
+  // 直近の担当者を除外。候補がいなくなる場合は除外する日数を1日ずつ縮める (0日 = 全員が候補)
+  const recentAssignments = getRecentAssignments(lastAssignmentState, todayStr);
+  let candidates = [];
+  for (let days = policy.cooldownDays; days >= 0 && candidates.length === 0; days--) {
+    const excludedIds = policy.cooldownMemberIds(recentAssignments, days);
+    candidates = availableMembers.filter(m => !excludedIds.has(m.memberId));
+    if (candidates.length > 0) {
+      logger.info(`Selecting first member, excluding members assigned in the last ${days} working day(s): ${[...excludedIds].join(', ') || '-'}`);
+    } else if (days > 0) {
+      logger.warn(`No candidates after excluding members assigned in the last ${days} working day(s). Shortening the cooldown.`);
+    }
+  }
+
+  candidates.sort(policy.compareMembers);
+  logger.info(`First member candidates sorted: ${candidates.map(m => `${m.memberId}(${policy.loadOf(m)})`).join(', ')}`);
 
   return candidates[0]; // 最初の候補者
 };
 
 // ★ ローテーションリストを作成する関数
-const createRotationList = (members) => {
-  // カウント昇順 -> 表示順昇順でソート
-  const sortedMembers = [...members].sort((a, b) => {
-    const countA = a.dutyCount || 0; const countB = b.dutyCount || 0;
-    if (countA !== countB) return countA - countB;
-    const orderA = a.displayOrder ?? Infinity; const orderB = b.displayOrder ?? Infinity;
-    if (orderA !== orderB) return orderA - orderB;
-    return (a.memberId || '').localeCompare(b.memberId || '');
-  });
+const createRotationList = (members, todayStr, policy = createFairnessPolicy()) => {
+  // 当日不在のメンバーを除外し、選出と同じポリシーの順でソート
+  const sortedMembers = members.filter(m => !isMemberAbsentOn(m, todayStr)).sort(policy.compareMembers);
   // メンバーIDの配列を返す
   const rotationList = sortedMembers.map(m => m.memberId);
   logger.info(`Generated rotation list: ${rotationList.join(', ')}`);
   return rotationList;
 };
 
-// ★ DynamoDB更新ロジック (カウント+1 と DutyState更新)
-const updateInitialDutyData = async (selectedMember, rotationList, todayStr) => {
+// ★ 担当履歴 (DutyHistory) のレコードを作成 (履歴を記録できないストレージなら null)
+// キー: stateId (パーティション) + historyId (`yyyy-MM-dd#記録時刻#memberId`) で、日付順に並ぶ追記専用のレコード
+const createHistoryRecord = (group, { assignmentDate, memberId, previousMemberId, actorUserId, reason }) => {
+  if (!storage.hasHistory) {
+    logger.info("HISTORY_TABLE_NAME is not set. Skipping history record.");
+    return null;
+  }
+  const recordedAt = new Date().toISOString();
+  return {
+    stateId: group.stateId,
+    historyId: `${assignmentDate}#${recordedAt}#${memberId}`,
+    assignmentDate: assignmentDate,               // 担当日
+    memberId: memberId,                           // 担当者
+    previousMemberId: previousMemberId || null,   // 変更前の担当者 (初回選出時は null)
+    actorUserId: actorUserId || null,             // 変更操作をしたユーザー (定時実行は null)
+    reason: reason,                               // scheduled / reserved / reselect / select / skip / swap / unacknowledged
+    recordedAt: recordedAt,
+  };
+};
+
+// ★ 更新ロジック (カウント+1 と DutyState更新 と 履歴追記)
+// まとめて (DynamoDB では1つのトランザクションで)「今日の State がまだ作られていないこと」を条件に書き込む。
+// 同時に起動した別の実行が先に選出していた場合は何も書き込まずに false を返す。
+// fairnessState: 公平性ポリシー用に DutyState に残す値 (recentAssignments, periodKey, periodBaseCounts)
+const updateInitialDutyData = async (group, selectedMember, rotationList, todayStr, reason = 'scheduled', fairnessState = {}) => {
+  const { stateId } = group;
   const memberId = selectedMember.memberId;
   const currentIndex = rotationList.indexOf(memberId); // rotationList 内でのインデックス
 
   if (currentIndex === -1) {
-    logger.error(`Selected member ${memberId} not found in generated rotation list! Aborting state update.`);
-    // カウントアップだけ実行するか、全体をエラーにするか選択
-    // ここではカウントアップは実行し、State更新はスキップする
-    try {
-      const updateMemberCommand = new UpdateCommand({
-        TableName: membersTableName,
-        Key: { memberId: memberId },
-        UpdateExpression: "ADD dutyCount :inc",
-        ExpressionAttributeValues: { ':inc': 1 },
-        ReturnValues: "UPDATED_NEW", // 更新後の値を取得（ログ用）
-      });
-      await docClient.send(updateMemberCommand);
-      logger.info(`Incremented duty count for ${memberId} but state update skipped.`);
-    } catch (error) {
-      logger.error(`Error incrementing count for ${memberId}: ${error}`);
-      throw error; // カウントアップも失敗したらエラー
-    }
-    return; // State更新は行わない
+    // selectFirstDutyMember と createRotationList は同じメンバー (当日不在者を除く全員) から作るので通常は起こらない
+    logger.error(`Selected member ${memberId} not found in generated rotation list! Aborting update.`);
+    throw new Error(`Selected member ${memberId} is not in the rotation list.`);
   }
 
-  try {
+  const committed = await storage.commitDutyChange(group, {
     // 1. 担当者のカウントを+1
-    const updateMemberCommand = new UpdateCommand({
-      TableName: membersTableName, Key: { memberId: memberId },
-      UpdateExpression: "ADD dutyCount :inc", ExpressionAttributeValues: { ':inc': 1 },
-      ReturnValues: "UPDATED_NEW",
-    });
-    const updateResult = await docClient.send(updateMemberCommand);
-    logger.info(`Incremented duty count for ${memberId}. New count: ${updateResult.Attributes?.dutyCount}`);
-
-    // 2. DutyStateテーブルを更新 (PutCommandで上書き)
-    const putStateCommand = new PutCommand({
-      TableName: stateTableName,
-      Item: {
-        stateId: stateId,
-        assignmentDate: todayStr,         // ★ 今日の日付
-        rotationList: rotationList,       // ★ 今日のローテーションリスト
-        currentListIndex: currentIndex,   // ★ 現在の担当者のインデックス
-        currentAssignedMemberId: memberId, // ★ 現在の担当者ID
-      },
-    });
-    await docClient.send(putStateCommand);
-    logger.info(`Updated duty state for ${todayStr} with rotation list. Current index: ${currentIndex}, Member: ${memberId}`);
+    countChanges: [{ memberId, delta: 1 }],
+    // 2. DutyStateを上書き (今日の選出がまだの場合のみ)
+    state: {
+      stateId: stateId,
+      assignmentDate: todayStr,         // ★ 今日の日付
+      rotationList: rotationList,       // ★ 今日のローテーションリスト
+      currentListIndex: currentIndex,   // ★ 現在の担当者のインデックス
+      currentAssignedMemberId: memberId, // ★ 現在の担当者ID
+      acknowledgedAt: null,             // ★ 担当者が「了解しました」を押した時刻
+      ackEscalationLevel: 0,            // ★ 了解確認の段階 (0: 未対応, 1: DM 済み, 2: エスカレーション済み)
+      recentAssignments: fairnessState.recentAssignments || [], // ★ 前の稼働日までの担当者 (新しい順, cooldownDays 用)
+      periodKey: fairnessState.periodKey || 'all',              // ★ 回数を数えている期 (例: 2025-Q2)
+      periodBaseCounts: fairnessState.periodBaseCounts || {},   // ★ 期の始めの各メンバーの dutyCount
+    },
+    expectNotAssignedOn: todayStr,
+    // 3. 担当履歴を追記
+    history: createHistoryRecord(group, { assignmentDate: todayStr, memberId, previousMemberId: null, actorUserId: null, reason }),
+  });
+
+  if (!committed) {
+    logger.warn(`Duty for ${todayStr} was assigned by another run in the meantime. Nothing was written.`);
+    return false;
+  }
+  logger.info(`Updated duty state for ${todayStr} with rotation list. Current index: ${currentIndex}, Member: ${memberId}`);
+  return true;
+};
 
+// ★ 投稿した日直メッセージの channel / ts を DutyState に記録
+// (/duty skip などでのメッセージ更新と、再実行時に通知済みかどうかの判定に使う)
+const saveDutyMessageRef = async (group, channelId, messageTs) => {
+  try {
+    await storage.updateState(group, { channelId, messageTs });
+    logger.info(`Saved duty message reference: ${channelId} / ${messageTs}`);
   } catch (error) {
-    logger.error(`Error updating initial duty data for ${memberId}: ${error}`);
-    throw error;
+    // 通知自体は完了しているので、ここでは処理を失敗扱いにしない
+    logger.error(`Error saving duty message reference: ${error}`);
   }
 };
 
+// ★ 全ロールの今日の DutyState (ロールの順)
+const getRoleAssignments = async (group, dateStr) => Promise.all(getRoleGroups(group).map(async (roleGroup) => {
+  const state = await getDutyState(roleGroup);
+  return { roleGroup, state: state.assignmentDate === dateStr && state.currentAssignedMemberId ? state : null };
+}));
 
-// Slackに日直通知を送信 (ボタン付き)
-const sendSlackNotification = async (member, dateStr, members) => {
-  const memberId = member.memberId;
-  // Slackのメンション形式 <@MEMBER_ID> を使うと通知が飛ぶ
-  const mention = memberId.startsWith('U') || memberId.startsWith('W') ? `<@${memberId}>` : (member.memberName || memberId);
-  const message = `☀️ 今日 (${dateStr}) の日直は ${mention} さんです！\nよろしくお願いします！`; // ★ 引数の dateStr をそのまま使う
-  // ★ メンバーリスト表示用のブロックを作成
-  const memberListBlocks = createMemberListBlocks(members);
+// ほかのロールを今日担当しているメンバー (1人が同じ日に2つのロールを持たないようにする)
+const getOtherRoleAssigneeIds = (assignments, roleGroup) => new Set(assignments
+  .filter(({ roleGroup: other, state }) => other.stateId !== roleGroup.stateId && state?.currentAssignedMemberId)
+  .map(({ state }) => state.currentAssignedMemberId));
+
+// Slackに日直通知を送信 (message は templates.js の createDutyMessage / createRoleDutyMessage で作ったもの)
+const sendSlackNotification = async (group, message) => {
   try {
     const response = await slackClient.chat.postMessage({
-      channel: slackChannelId,
-      text: message, // 通知やフォールバック用テキスト
-      blocks: [
-        {
-          "type": "section",
-          "text": {
-            "type": "mrkdwn",
-            "text": message
-          }
-        },
-        {
-          "type": "actions",
-          "block_id": "duty_actions", // block_idを付けておくと後で識別しやすい
-          "elements": [
-            {
-              "type": "button",
-              "text": {
-                "type": "plain_text",
-                "text": "担当を変更する",
-                "emoji": true
-              },
-              "style": "danger", // 目立たせるためにdanger（任意）
-              "action_id": "reselect_duty_action", // 後で使うアクションID
-              // valueに再選出時に必要となりそうな情報を含める
-              // （今回はシンプルに現在の担当者IDのみ）
-              "value": JSON.stringify({ current_member_id: memberId })
-            }
-          ]
-        },
-        // ★★★ 作成したメンバーリストブロックを追加 ★★★
-        ...memberListBlocks // スプレッド構文で配列を展開して追加
-      ]
+      channel: group.channelId,
+      ...message,
     });
     logger.info(`Slack notification sent successfully: ${response.ts}`);
     return response.ts;
@@ -258,77 +468,674 @@ const sendSlackNotification = async (member, dateStr, members) => {
   }
 };
 
-// --- Lambdaハンドラー ---
-export const handler = async (event, context) => {
-  logger.info(`Event received: ${JSON.stringify(event)}`);
+// --- 月次レポート (担当履歴から集計) ---
+// 指定月 (yyyy-MM) の担当履歴を DutyHistory から取得
+const getHistoryRecordsForMonth = async (group, monthStr) => {
+  const records = await storage.listHistory(group, `${monthStr}-`);
+  logger.info(`Queried ${records.length} history records of ${group.groupId} for ${monthStr}`);
+  return records;
+};
 
-  const now = new Date(); // 現在時刻 (UTC)
+// 履歴をメンバーごとに集計 (その日の最後のレコードの担当者を「その日の担当者」とみなす)
+const summarizeHistory = (records) => {
+  const finalMemberByDate = new Map();
+  const summaryById = new Map();
+  const entryOf = (memberId) => {
+    if (!summaryById.has(memberId)) {
+      summaryById.set(memberId, { memberId, dutyDays: 0, takenOver: 0, handedOff: 0 });
+    }
+    return summaryById.get(memberId);
+  };
 
-  // --- 1. 実行日チェック (指定タイムゾーン基準) ---
-  if (!isWeekdayInZone(now, timeZone)) {
-    const todayStrForLog = formatInTimeZone(now, timeZone, 'yyyy-MM-dd'); // ログ用
-    logger.info(`${todayStrForLog} is a weekend or holiday in ${timeZone}. Skipping.`);
-    return { statusCode: 200, body: 'Skipped (weekend or holiday)' };
-  }
+  // historyId は日付・記録時刻順に並ぶ
+  [...records].sort((a, b) => a.historyId.localeCompare(b.historyId)).forEach(record => {
+    finalMemberByDate.set(record.assignmentDate, record.memberId);
+    if (record.previousMemberId) {
+      entryOf(record.previousMemberId).handedOff += 1; // 交代してもらった
+      entryOf(record.memberId).takenOver += 1;         // 交代で引き受けた
+    }
+  });
+  finalMemberByDate.forEach(memberId => { entryOf(memberId).dutyDays += 1; });
 
-  // ★ DynamoDB保存用/通知メッセージ用の日付文字列 (yyyy-MM-dd) を生成
-  const todayStr = formatInTimeZone(now, timeZone, 'yyyy-MM-dd');
-  logger.info(`Today is ${todayStr} in ${timeZone}, a weekday. Proceeding...`);
+  return { totalDays: finalMemberByDate.size, summaryById };
+};
+
+// reports: [{ roleGroup, summary }] (ロールの順。summary は summarizeHistory の結果)。ロールごとに見出しと集計を並べる
+const createMonthlyReportBlocks = (group, monthStr, members, reports) => {
+  const messages = createMessageTemplates(group);
+  const [year, month] = monthStr.split('-');
+
+  // 現在のメンバーは表示順、履歴にしかいない (削除済みの) メンバーは最後に並べる
+  const sortedMembers = [...members].sort((a, b) => {
+    const orderA = a.displayOrder ?? Infinity; const orderB = b.displayOrder ?? Infinity;
+    if (orderA !== orderB) return orderA - orderB;
+    return (a.memberId || '').localeCompare(b.memberId || '');
+  });
+  const knownIds = new Set(sortedMembers.map(m => m.memberId));
+
+  const sections = reports.map(({ roleGroup, summary: { totalDays, summaryById } }) => {
+    const title = messages.render('monthlyReportTitle', { year, month: Number(month), role: roleGroup.role.name, days: totalDays });
+    const rows = [
+      ...sortedMembers,
+      ...[...summaryById.keys()].filter(id => !knownIds.has(id)).map(id => ({ memberId: id })),
+    ].map(member => {
+      const entry = summaryById.get(member.memberId) || { dutyDays: 0, takenOver: 0, handedOff: 0 };
+      return messages.render('monthlyReportItem', {
+        name: member.memberName || member.memberId, days: entry.dutyDays, takenOver: entry.takenOver, handedOff: entry.handedOff,
+      });
+    });
+    return { title, rows };
+  });
+
+  return {
+    text: sections.map(({ title }) => title).join('\n'),
+    blocks: [
+      ...sections.flatMap(({ title, rows }) => [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${title}*` } },
+        { type: 'section', text: { type: 'mrkdwn', text: rows.join('\n') || messages.render('noMembers') } },
+      ]),
+      { type: 'context', elements: [{ type: 'mrkdwn', text: messages.render('monthlyReportNote') }] },
+    ],
+  };
+};
+
+// 月次レポートを作成してチャンネルに投稿 (対象月は event.month、未指定なら実行時点の月)
+const handleMonthlyReport = async (group, event, now) => {
+  if (!storage.hasHistory) {
+    logger.error("Monthly report requested but HISTORY_TABLE_NAME is not set.");
+    return { statusCode: 400, body: 'HISTORY_TABLE_NAME is not configured' };
+  }
+  const monthStr = event.month || formatInTimeZone(now, group.timeZone, 'yyyy-MM');
+  if (!/^\d{4}-\d{2}$/.test(monthStr)) {
+    logger.error(`Invalid month for monthly report: ${monthStr}`);
+    return { statusCode: 400, body: 'Invalid month (expected yyyy-MM)' };
+  }
+  logger.info(`[${group.groupId}] Creating monthly report for ${monthStr}`);
 
   try {
-    // ★ 前日の状態取得と現在のメンバーリスト取得
-    const [lastAssignmentState, currentMembers] = await Promise.all([
-      getDutyState(), // ★ 名前変更: getDutyState はそのまま
-      getAllMembers()
+    // 担当履歴はロールごと (stateId ごと) に記録されているので、ロールごとに集計する
+    const roleGroups = getRoleGroups(group);
+    const [members, ...recordsByRole] = await Promise.all([
+      getAllMembers(group), ...roleGroups.map(roleGroup => getHistoryRecordsForMonth(roleGroup, monthStr)),
+    ]);
+    const reports = roleGroups.map((roleGroup, index) => ({ roleGroup, summary: summarizeHistory(recordsByRole[index]) }));
+    const { text, blocks } = createMonthlyReportBlocks(group, monthStr, members, reports);
+    const response = await slackClient.chat.postMessage({ channel: group.channelId, text, blocks });
+    logger.info(`[${group.groupId}] Monthly report for ${monthStr} posted: ${response.ts}`);
+    return { statusCode: 200, body: JSON.stringify({ message: `Monthly report for ${monthStr} posted.` }) };
+  } catch (error) {
+    logger.error(`[${group.groupId}] Monthly report error: ${error.message}`);
+    return { statusCode: 500, body: JSON.stringify({ message: 'Failed to create monthly report', error: error.message }) };
+  }
+};
+
+// --- 週間予定 (この先の担当者の見込み) ---
+// EventBridge ルールの入力で { "mode": "weekly_preview" } を指定し、月曜の朝などに実行する
+// 定時実行と同じ selectFirstDutyMember (公平性ポリシーの順・直近の担当者を除外・不在者を除外) を稼働日ごとに繰り返して予測する
+const MAX_PREVIEW_DAYS = 14; // 1日1ブロックなので、メッセージのブロック数上限 (50) に収まる範囲にする
+
+const addDays = (dateStr, days) => new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+// ★ 指定した日数分の担当者を予測 (DB は更新しない)
+// 今日の担当がすでに決まっていればそれを確定として扱い、翌日から予測する
+// busyByDate: 日付 -> その日ほかのロールを担当する見込みのメンバー (候補から除く)
+const simulateUpcomingAssignments = (group, calendar, state, members, reservations, todayStr, days, busyByDate = new Map()) => {
+  const simulatedMembers = members.map(m => ({ ...m }));
+  const reservationsByDate = new Map(reservations.map(r => [r.reservationDate, r]));
+  let lastAssignmentState = state;
+  const rows = [];
+
+  for (let i = 0; i < days; i++) {
+    const dateStr = addDays(todayStr, i);
+    const dayOffReason = calendar.getDayOffReason(dateStr);
+    if (dayOffReason) {
+      // 休業曜日 (土日など) は表に出さず、祝日・休業日だけ表示する
+      if (group.workWeek.includes(isoDayOfWeek(dateStr))) {
+        rows.push({ dateStr, dayOffReason });
+      }
+      continue;
+    }
+
+    if (state.assignmentDate === dateStr && state.currentAssignedMemberId) {
+      rows.push({ dateStr, memberId: state.currentAssignedMemberId, confirmed: true });
+      continue;
+    }
+
+    const reservation = reservationsByDate.get(dateStr);
+    // 予測の途中で期が変わる場合も、定時実行と同じく期の始めの回数を作り直す
+    const periodState = resolveCountingPeriod(group, lastAssignmentState, simulatedMembers, dateStr);
+    const policy = createFairnessPolicy(group, periodState);
+    const busyMemberIds = busyByDate.get(dateStr) || new Set();
+    const selected = selectFirstDutyMember(simulatedMembers.filter(m => !busyMemberIds.has(m.memberId)), lastAssignmentState, dateStr, reservation, policy);
+    if (!selected) {
+      rows.push({ dateStr, memberId: null });
+      continue;
+    }
+    selected.dutyCount = (selected.dutyCount || 0) + 1;
+    lastAssignmentState = {
+      assignmentDate: dateStr,
+      currentAssignedMemberId: selected.memberId,
+      recentAssignments: getRecentAssignments(lastAssignmentState, dateStr),
+      ...periodState,
+    };
+    rows.push({ dateStr, memberId: selected.memberId, reserved: reservation?.memberId === selected.memberId });
+  }
+  return rows;
+};
+
+// ★ 全ロールの予測 (ロールの順。定時実行と同じく、前のロールに選ばれる見込みの人は後のロールの候補から除く)
+// 返り値: [{ roleGroup, state, rows }]
+const simulateRoleAssignments = async (group, todayStr, days) => {
+  const loaded = await Promise.all(getRoleGroups(group).map(async (roleGroup) => {
+    const [calendar, state, members, reservations] = await Promise.all([
+      getGroupCalendar(roleGroup), getDutyState(roleGroup), getAllMembers(roleGroup),
+      storage.hasReservations ? storage.listReservations(roleGroup, todayStr) : [],
     ]);
+    return { roleGroup, calendar, state, members, reservations };
+  }));
 
-    if (currentMembers.length === 0) {
-      logger.warn("No members found in DynamoDB. Cannot assign duty.");
-      // 必要であればSlackにエラー通知
-      await slackClient.chat.postMessage({ channel: slackChannelId, text: "日直担当者を選出できませんでした: メンバーが登録されていません。" });
+  const busyByDate = new Map();
+  const markBusy = (dateStr, memberId) => busyByDate.set(dateStr, (busyByDate.get(dateStr) || new Set()).add(memberId));
+  // 今日すでに決まっている担当者は、どのロールの候補にもしない
+  loaded.filter(({ state }) => state.assignmentDate === todayStr && state.currentAssignedMemberId)
+    .forEach(({ state }) => markBusy(todayStr, state.currentAssignedMemberId));
+
+  return loaded.map(({ roleGroup, calendar, state, members, reservations }) => {
+    const rows = members.length > 0 ? simulateUpcomingAssignments(roleGroup, calendar, state, members, reservations, todayStr, days, busyByDate) : [];
+    rows.filter(row => row.memberId).forEach(row => markBusy(row.dateStr, row.memberId));
+    return { roleGroup, state, rows };
+  });
+};
+
+// 予測結果を Block Kit の表 (日付 | 担当者 の2列) にする
+// ロールが複数なら担当者の列に「ロール名: 担当者」を1行ずつ並べる (どのロールも同じカレンダーなので日付の行は揃う)
+const createWeeklyPreviewBlocks = (group, projections, members, fromStr, toStr) => {
+  const messages = createMessageTemplates(group);
+  const membersById = new Map(members.map(m => [m.memberId, m]));
+  const multipleRoles = projections.length > 1;
+  const formatDayLabel = (dateStr) => messages.formatDate(dateStr, { short: true });
+  const period = messages.render('period', { from: formatDayLabel(fromStr), to: formatDayLabel(toStr) });
+  const role = multipleRoles ? projections.map(({ roleGroup }) => roleGroup.role.name).join(' / ') : messages.roleName;
+  const title = messages.render('previewTitle', { role, period });
+  const cell = (text) => ({ type: 'mrkdwn', text });
+
+  const formatAssignee = ({ memberId, confirmed, reserved }) => {
+    if (!memberId) {
+      return messages.render('previewNoCandidate');
+    }
+    const member = membersById.get(memberId) || { memberId };
+    return `${member.memberName || member.memberId}${confirmed ? messages.render('previewConfirmed') : reserved ? messages.render('previewReserved') : ''}`;
+  };
+  const rowBlocks = projections[0].rows.map(({ dateStr, dayOffReason }, index) => {
+    const assignee = dayOffReason
+      ? messages.render('previewDayOff', { reason: messages.formatDayOffReason(dayOffReason) })
+      : projections.map(({ roleGroup, rows }) => `${multipleRoles ? `${roleGroup.role.name}: ` : ''}${formatAssignee(rows[index])}`).join('\n');
+    return { type: 'section', fields: [cell(formatDayLabel(dateStr)), cell(assignee)] };
+  });
+
+  return {
+    text: title,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${title}*` } },
+      { type: 'section', fields: [cell(messages.render('previewDateHeader')), cell(messages.render('previewAssigneeHeader'))] },
+      ...(rowBlocks.length > 0 ? rowBlocks : [{ type: 'section', text: { type: 'mrkdwn', text: messages.render('previewNoWorkingDays') } }]),
+      { type: 'context', elements: [cell(messages.render('previewNote', { button: messages.render('reselectButton') }))] },
+    ],
+  };
+};
+
+// 週間予定を作成してチャンネルに投稿 (期間は今日から event.days 日間、既定は7日間)
+const handleWeeklyPreview = async (group, event, now) => {
+  const days = Math.min(Number(event.days) || 7, MAX_PREVIEW_DAYS);
+  const todayStr = formatInTimeZone(now, group.timeZone, 'yyyy-MM-dd');
+  logger.info(`[${group.groupId}] Creating weekly preview for ${days} days from ${todayStr}`);
+
+  try {
+    const members = await getAllMembers(group);
+    if (members.length === 0) {
+      logger.warn(`[${group.groupId}] No members found. Cannot create weekly preview.`);
       return { statusCode: 400, body: 'No members found' };
     }
 
-    // ★ 最初の担当者を選出
-    const selectedMember = selectFirstDutyMember(currentMembers, lastAssignmentState);
-    if (!selectedMember) {
-      logger.error("Failed to select a duty member.");
-      await slackClient.chat.postMessage({ channel: slackChannelId, text: "日直担当者を選出できませんでした: 候補者が見つかりません。" });
-      return { statusCode: 500, body: 'Failed to select member' };
+    const projections = await simulateRoleAssignments(group, todayStr, days);
+    const { text, blocks } = createWeeklyPreviewBlocks(group, projections, members, todayStr, addDays(todayStr, days - 1));
+    const response = await slackClient.chat.postMessage({ channel: group.channelId, text, blocks });
+    logger.info(`[${group.groupId}] Weekly preview posted: ${response.ts}`);
+    const preview = hasMultipleRoles(group)
+      ? projections.map(({ roleGroup, rows }) => ({ roleId: roleGroup.role.roleId, rows }))
+      : projections[0].rows;
+    return { statusCode: 200, body: JSON.stringify({ message: 'Weekly preview posted.', preview }) };
+  } catch (error) {
+    logger.error(`[${group.groupId}] Weekly preview error: ${error.message}`);
+    return { statusCode: 500, body: JSON.stringify({ message: 'Failed to create weekly preview', error: error.message }) };
+  }
+};
+
+// --- iCalendar フィード (担当日をカレンダーアプリで購読) ---
+// API Gateway のルート (例: GET /duty/calendar.ics) からこの Lambda を呼び出すと .ics を返す
+// クエリ: token (必須), group (グループが1つなら省略可), member (そのメンバーの担当日だけ), days (見込みを出す日数)
+// 過去の担当は担当履歴 (なければ DutyState の直近の担当者)、今日以降は週間予定と同じ selectFirstDutyMember の見込み
+const DEFAULT_FEED_DAYS = 28;
+const MAX_FEED_DAYS = 90;
+const FEED_PAST_MONTHS = 3; // 今月を含めて何か月前までの担当履歴を載せるか
+
+// API Gateway (HTTP API / REST API) からの呼び出しか
+const isHttpRequest = (event) => !!(event?.requestContext?.http || event?.httpMethod);
+
+// トークンの比較 (タイミング攻撃対策)
+const isValidFeedToken = (expected, received) => {
+  if (!expected || !received) return false;
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received, 'utf8');
+  return expectedBuffer.length === receivedBuffer.length && timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// yyyy-MM-dd から数えて count か月分の yyyy-MM (今月から古い順に遡る)
+const listRecentMonths = (dateStr, count) => Array.from({ length: count }, (_, i) => {
+  const [year, month] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 - i, 1));
+  return date.toISOString().slice(0, 7);
+});
+
+// ★ 昨日までに決まっていた担当 (日付 -> memberId)
+// 担当履歴は同じ日に交代があれば最後の記録がその日の担当者
+const getConfirmedAssignments = async (group, state, todayStr) => {
+  const assignments = new Map(getRecentAssignments(state, todayStr).map(entry => [entry.date, entry.memberId]));
+  if (storage.hasHistory) {
+    for (const monthStr of listRecentMonths(todayStr, FEED_PAST_MONTHS).reverse()) {
+      const records = await storage.listHistory(group, `${monthStr}-`);
+      records.filter(record => record.assignmentDate < todayStr).forEach(record => assignments.set(record.assignmentDate, record.memberId));
+    }
+  }
+  return assignments;
+};
+
+// ★ ロール1つ分の予定 (過去の担当 + 今日以降の見込み。projection は simulateRoleAssignments の1要素)
+const createRoleCalendarEvents = async ({ roleGroup, state, rows: projected }, members, todayStr, memberId, messages) => {
+  const membersById = new Map(members.map(m => [m.memberId, m]));
+  const nameOf = (id) => membersById.get(id)?.memberName || id;
+  const role = roleGroup.role.name;
+
+  const confirmed = [...await getConfirmedAssignments(roleGroup, state, todayStr)]
+    .map(([dateStr, assigneeId]) => ({ dateStr, memberId: assigneeId, confirmed: true }));
+
+  return [...confirmed, ...projected]
+    .filter(row => row.memberId && (!memberId || row.memberId === memberId))
+    .map(row => ({
+      // 同じ日・同じロールの予定は UID を変えず、見込みが変わったらカレンダー側で上書きされるようにする
+      uid: `${row.dateStr}-${encodeURIComponent(roleGroup.stateId)}@daily-duty`,
+      date: row.dateStr,
+      summary: messages.render(row.confirmed ? 'calendarEvent' : 'calendarEventProjected', { role, name: nameOf(row.memberId) }),
+      description: row.confirmed ? undefined : messages.render('calendarProjectedNote'),
+      tentative: !row.confirmed,
+    }));
+};
+
+// ★ .ics フィードのリクエストを処理
+const handleCalendarFeedRequest = async (event, now) => {
+  const query = event.queryStringParameters || {};
+  logger.info(`Calendar feed requested: group=${query.group || '-'}, member=${query.member || '-'}`); // トークンはログに出さない
+  const textResponse = (statusCode, body) => ({ statusCode, headers: { 'Content-Type': 'text/plain; charset=utf-8' }, body });
+
+  try {
+    const groups = await getRotationGroups();
+    const group = query.group ? groups.find(g => g.groupId === query.group) : (groups.length === 1 ? groups[0] : null);
+    if (!group) {
+      return textResponse(404, 'Rotation group not found');
+    }
+    if (!group.calendarFeedToken) {
+      return textResponse(404, 'Calendar feed is not enabled for this group');
+    }
+    if (!isValidFeedToken(group.calendarFeedToken, query.token)) {
+      logger.warn(`[${group.groupId}] Invalid calendar feed token.`);
+      return textResponse(403, 'Invalid token');
+    }
+
+    const days = Math.min(Math.max(Number(query.days) || DEFAULT_FEED_DAYS, 1), MAX_FEED_DAYS);
+    const todayStr = formatInTimeZone(now, group.timeZone, 'yyyy-MM-dd');
+    const messages = createMessageTemplates(group);
+    const members = await getAllMembers(group);
+    const events = [];
+    for (const projection of await simulateRoleAssignments(group, todayStr, days)) {
+      events.push(...await createRoleCalendarEvents(projection, members, todayStr, query.member, messages));
+    }
+
+    const role = hasMultipleRoles(group) ? group.roles.map(r => r.name).join(' / ') : messages.roleName;
+    const member = query.member ? (await storage.getMember(group, query.member)) || { memberId: query.member } : null;
+    const name = member
+      ? messages.render('calendarMemberName', { group: group.name, role, name: member.memberName || member.memberId })
+      : messages.render('calendarName', { group: group.name, role });
+    logger.info(`[${group.groupId}] Calendar feed with ${events.length} events from ${todayStr} (${days} days ahead)`);
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${group.groupId}.ics"`,
+        'Cache-Control': 'max-age=900', // カレンダーアプリの再取得は数時間おきなので、短めにキャッシュさせる
+      },
+      body: createICalendar({ name, events, now }),
+    };
+  } catch (error) {
+    logger.error(`Calendar feed error: ${error.message}`);
+    return textResponse(500, 'Failed to create calendar feed');
+  }
+};
+
+// --- 了解確認 (担当者が「了解しました」を押したか) ---
+// EventBridge ルールの入力で { "mode": "ack_check" } を指定し、午前中に数十分おきに実行する想定
+// 1回目 (ackDeadline を過ぎたら): 担当者本人に DM
+// 2回目 (さらに ackEscalateAfterMinutes 経過後): チャンネルでリマインド (remind) か、次の人に自動で交代 (reassign)
+const toMinutes = (timeStr) => {
+  const [hours, minutes] = String(timeStr).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// ★ ローテーションリスト上で次の担当者のインデックスを探す (ReselectDutyHandler と同じ。不在のメンバーはスキップ)
+// busyMemberIds: 今日ほかのロールを担当しているメンバー (スキップする)
+const findNextAvailableIndex = (rotationList, currentListIndex, members, dateStr, busyMemberIds = new Set()) => {
+  const membersById = new Map(members.map(m => [m.memberId, m]));
+  for (let step = 1; step < rotationList.length; step++) {
+    const index = (currentListIndex + step) % rotationList.length;
+    if (busyMemberIds.has(rotationList[index])) continue;
+    const member = membersById.get(rotationList[index]);
+    // ローテーションから抜けたメンバー (/duty leave) は今日の rotationList に残っていても members にいないので飛ばす
+    if (member && !isMemberAbsentOn(member, dateStr)) return index;
+  }
+  return -1;
+};
+
+// 担当者本人への DM (Slack のユーザーID で登録されているメンバーのみ)
+const sendAckReminderDm = async (group, state) => {
+  const memberId = state.currentAssignedMemberId;
+  if (!memberId.startsWith('U') && !memberId.startsWith('W')) {
+    logger.warn(`[${group.groupId}] Member ${memberId} is not a Slack user ID. Skipping DM.`);
+    return;
+  }
+  const link = state.messageTs
+    ? await slackClient.chat.getPermalink({ channel: state.channelId || group.channelId, message_ts: state.messageTs }).then(r => r.permalink).catch(() => null)
+    : null;
+  const messages = createMessageTemplates(group);
+  const text = messages.render('ackReminderDm', { date: state.assignmentDate, role: messages.roleName, button: messages.render('acknowledgeButton') });
+  await slackClient.chat.postMessage({
+    channel: memberId, // ユーザーID宛てに送ると Bot との DM になる
+    text: `${text}${link ? `\n${link}` : ''}`,
+  });
+  logger.info(`[${group.groupId}] Sent acknowledgement reminder DM to ${memberId}`);
+};
+
+// 日直メッセージのスレッドに投稿 (チャンネルにも表示する)
+const postToDutyThread = async (group, state, text) => {
+  await slackClient.chat.postMessage({
+    channel: state.channelId || group.channelId,
+    text,
+    ...(state.messageTs ? { thread_ts: state.messageTs, reply_broadcast: true } : {}),
+  });
+};
+
+// ★ 了解がない担当者を次の人に自動で交代 (カウント増減・履歴は「担当を変更する」ボタンと同じ扱い)
+// 交代できた場合は true。交代できる人がいない・他の操作と競合した場合は false
+// group はロールごとのグループ (getRoleGroups)
+const reassignUnacknowledgedDuty = async (group, state, members) => {
+  const { rotationList, currentListIndex, currentAssignedMemberId: originalMemberId, assignmentDate } = state;
+  const roleAssignments = hasMultipleRoles(group) ? await getRoleAssignments(group, assignmentDate) : [];
+  const busyMemberIds = getOtherRoleAssigneeIds(roleAssignments, group);
+  const nextIndex = rotationList?.length > 1 ? findNextAvailableIndex(rotationList, currentListIndex, members, assignmentDate, busyMemberIds) : -1;
+  if (nextIndex === -1) {
+    logger.warn(`[${group.groupId}] No available member to reassign to on ${assignmentDate}.`);
+    return false;
+  }
+  const newMemberId = rotationList[nextIndex];
+
+  const committed = await storage.commitDutyChange(group, {
+    countChanges: [
+      { memberId: originalMemberId, delta: -1 },
+      { memberId: newMemberId, delta: 1 },
+    ],
+    state: {
+      ...state,
+      currentListIndex: nextIndex,
+      currentAssignedMemberId: newMemberId,
+      lastChangedBy: null,
+      lastChangeReason: null,
+      lastChange: null, // 自動交代の前の手動の交代は元に戻せない
+      acknowledgedAt: null,
+      ackEscalationLevel: 2, // 自動交代は1日1回まで (交代後の担当者には再度エスカレーションしない)
+    },
+    expect: { assignmentDate, currentAssignedMemberId: originalMemberId, currentListIndex },
+    history: createHistoryRecord(group, { assignmentDate, memberId: newMemberId, previousMemberId: originalMemberId, actorUserId: null, reason: 'unacknowledged' }),
+  });
+  if (!committed) {
+    logger.warn(`[${group.groupId}] Duty state was changed concurrently. Skipping reassignment.`);
+    return false;
+  }
+  logger.info(`[${group.groupId}] Reassigned unacknowledged duty ${originalMemberId} -> ${newMemberId}`);
+
+  // 日直メッセージを新しい担当者で更新し、スレッドでも知らせる (表示するカウントは最初のロールの dutyCount)
+  const updatedMembers = await getAllMembers(toBaseGroup(group));
+  const newMember = updatedMembers.find(m => m.memberId === newMemberId) || { memberId: newMemberId };
+  const originalMember = updatedMembers.find(m => m.memberId === originalMemberId) || { memberId: originalMemberId };
+  const messages = createMessageTemplates(group);
+  if (state.messageTs) {
+    const contextText = messages.render('unacknowledgedNotice', { mention: toMention(originalMember) });
+    await slackClient.chat.update({
+      channel: state.channelId || group.channelId,
+      ts: state.messageTs,
+      ...(hasMultipleRoles(group)
+        ? messages.createRoleDutyMessage(await getRoleAssignments(group, assignmentDate), assignmentDate, updatedMembers, contextText)
+        : messages.createDutyMessage(newMember, assignmentDate, updatedMembers, contextText, rotationList)),
+    });
+  }
+  await postToDutyThread(group, state, messages.render('ackReassigned', { mention: toMention(originalMember), role: messages.roleName, newMention: toMention(newMember) }));
+  return true;
+};
+
+// ★ ロールごとに了解確認 (ロールが1つならその結果をそのまま返す)
+const handleAckCheck = async (group, now) => {
+  const roleGroups = getRoleGroups(group);
+  const results = [];
+  for (const roleGroup of roleGroups) {
+    results.push(await checkRoleAcknowledgement(roleGroup, now));
+  }
+  if (results.length === 1) return results[0];
+  return {
+    statusCode: Math.max(...results.map(r => r.statusCode)),
+    body: JSON.stringify(results.map((result, i) => ({ roleId: roleGroups[i].role.roleId, ...result }))),
+  };
+};
+
+// group はロールごとのグループ (getRoleGroups)
+const checkRoleAcknowledgement = async (group, now) => {
+  const { groupId, timeZone, ackDeadline, ackEscalateAfterMinutes, ackEscalation } = group;
+  const todayStr = formatInTimeZone(now, timeZone, 'yyyy-MM-dd');
+  const nowMinutes = toMinutes(formatInTimeZone(now, timeZone, 'HH:mm'));
+
+  try {
+    const state = await getDutyState(group);
+    if (state.assignmentDate !== todayStr || !state.currentAssignedMemberId) {
+      logger.info(`[${groupId}] No duty assigned for ${todayStr}. Skipping acknowledgement check.`);
+      return { statusCode: 200, body: 'Skipped (no duty assigned today)' };
+    }
+    if (state.acknowledgedAt) {
+      logger.info(`[${groupId}] Duty for ${todayStr} was acknowledged at ${state.acknowledgedAt}. Nothing to do.`);
+      return { statusCode: 200, body: 'Skipped (already acknowledged)' };
+    }
+
+    const level = Number(state.ackEscalationLevel) || 0;
+    const expect = { assignmentDate: todayStr, currentAssignedMemberId: state.currentAssignedMemberId };
+
+    // --- 1. 期限を過ぎたら本人に DM ---
+    if (level === 0) {
+      if (nowMinutes < toMinutes(ackDeadline)) {
+        return { statusCode: 200, body: `Skipped (before acknowledgement deadline ${ackDeadline})` };
+      }
+      await sendAckReminderDm(group, state);
+      await storage.updateState(group, { ackEscalationLevel: 1 }, { expect });
+      return { statusCode: 200, body: `Sent acknowledgement reminder to ${state.currentAssignedMemberId}` };
+    }
+
+    // --- 2. DM 後も了解がなければエスカレーション ---
+    if (level === 1) {
+      if (nowMinutes < toMinutes(ackDeadline) + ackEscalateAfterMinutes) {
+        return { statusCode: 200, body: 'Skipped (waiting for acknowledgement after reminder)' };
+      }
+      if (ackEscalation === 'reassign') {
+        const members = await getAllMembers(group);
+        if (await reassignUnacknowledgedDuty(group, state, members)) {
+          return { statusCode: 200, body: `Reassigned unacknowledged duty of ${state.currentAssignedMemberId}` };
+        }
+        logger.warn(`[${groupId}] Could not reassign. Falling back to a channel reminder.`);
+      }
+      const messages = createMessageTemplates(group);
+      await postToDutyThread(group, state, messages.render('ackReminder', {
+        mention: toMention({ memberId: state.currentAssignedMemberId }), role: messages.roleName, button: messages.render('acknowledgeButton'),
+      }));
+      await storage.updateState(group, { ackEscalationLevel: 2 }, { expect });
+      return { statusCode: 200, body: `Posted channel reminder for ${state.currentAssignedMemberId}` };
+    }
+
+    return { statusCode: 200, body: 'Skipped (already escalated)' };
+  } catch (error) {
+    logger.error(`[${groupId}] Acknowledgement check error: ${error.message}`);
+    return { statusCode: 500, body: JSON.stringify({ message: 'Failed to check acknowledgement', error: error.message }) };
+  }
+};
+
+// --- グループごとの日直選出 ---
+const processDailyDuty = async (group, now) => {
+  const { groupId, channelId, timeZone } = group;
+
+  // ★ DynamoDB保存用/通知メッセージ用の日付文字列 (yyyy-MM-dd) を生成 (グループのタイムゾーン基準)
+  const todayStr = formatInTimeZone(now, timeZone, 'yyyy-MM-dd');
+
+  try {
+    // --- 1. 実行日チェック (グループの稼働日カレンダー) ---
+    const calendar = await getGroupCalendar(group);
+    const dayOffReason = calendar.getDayOffReason(todayStr);
+    if (dayOffReason) {
+      logger.info(`[${groupId}] ${todayStr} is a day off in ${timeZone} (${describeDayOffReason(dayOffReason)}). Skipping.`);
+      return { statusCode: 200, body: `Skipped (${describeDayOffReason(dayOffReason)})` };
+    }
+    logger.info(`[${groupId}] Today is ${todayStr} in ${timeZone}, a working day. Proceeding...`);
+
+    // ★ メンバー同期 (ユーザーグループ / チャンネルの設定がある場合。新しいメンバーの追加といなくなったメンバーの除外)
+    if (group.syncUsergroupId || group.syncChannelId) {
+      await syncMembersFromSlack(group);
     }
-    logger.info(`First duty member selected: ${selectedMember.memberId}`);
 
-    // ★ 今日のローテーションリストを作成
-    const rotationList = createRotationList(currentMembers);
+    // ★ ロールごとに選出 (ロールが1つなら従来どおり1人)
+    // ロールは順番に選出し、前のロールに選ばれた人は後のロールの候補から外す (1人が同じ日に2つのロールを持たない)
+    const assignments = []; // [{ roleGroup, state, reservation, resumed }]
+    for (const roleGroup of getRoleGroups(group)) {
+      const label = hasMultipleRoles(group) ? `[${groupId}/${roleGroup.role.roleId}]` : `[${groupId}]`;
 
-    // ★ DynamoDB更新 (カウント+1 と DutyState更新)
-    await updateInitialDutyData(selectedMember, rotationList, todayStr);
+      // ★ 前日の状態取得と現在のメンバーリスト取得
+      const [lastAssignmentState, currentMembers] = await Promise.all([
+        getDutyState(roleGroup),
+        getAllMembers(roleGroup)
+      ]);
+
+      if (currentMembers.length === 0) {
+        logger.warn(`[${groupId}] No members found. Cannot assign duty.`);
+        // 必要であればSlackにエラー通知
+        await slackClient.chat.postMessage({ channel: channelId, text: createMessageTemplates(roleGroup).render('selectFailedNoMembers', { role: roleGroup.role.name }) });
+        return { statusCode: 400, body: 'No members found' };
+      }
+
+      // ★ 今日の選出が済んでいれば、再選出・カウントアップはしない (二重実行対策)
+      if (lastAssignmentState.assignmentDate === todayStr && lastAssignmentState.currentAssignedMemberId) {
+        logger.info(`${label} Duty for ${todayStr} is already assigned to ${lastAssignmentState.currentAssignedMemberId}.`);
+        assignments.push({ roleGroup, state: lastAssignmentState, resumed: true });
+        continue;
+      }
+
+      // ★ 公平性ポリシー (期が変わっていれば期の始めの回数を作り直す)
+      const periodState = resolveCountingPeriod(group, lastAssignmentState, currentMembers, todayStr);
+      const policy = createFairnessPolicy(group, periodState);
+      const recentAssignments = getRecentAssignments(lastAssignmentState, todayStr);
+      if (periodState.periodKey !== (lastAssignmentState.periodKey || 'all')) {
+        logger.info(`${label} Counting period changed to ${periodState.periodKey}. Base counts: ${JSON.stringify(periodState.periodBaseCounts)}`);
+      }
+
+      // ★ 最初の担当者を選出 (今日の担当予約があれば優先。ほかのロールに選ばれた人は除く)
+      const otherAssigneeIds = getOtherRoleAssigneeIds(assignments, roleGroup);
+      const reservation = await getReservationOn(roleGroup, todayStr);
+      const selectedMember = selectFirstDutyMember(currentMembers.filter(m => !otherAssigneeIds.has(m.memberId)), lastAssignmentState, todayStr, reservation, policy);
+      if (!selectedMember) {
+        if (hasMultipleRoles(group)) {
+          // 人数が足りないロールは空けたまま、ほかのロールは通知する
+          logger.warn(`${label} No candidate left for ${roleGroup.role.name}. Leaving it unassigned.`);
+          assignments.push({ roleGroup, state: null });
+          continue;
+        }
+        logger.error(`[${groupId}] Failed to select a duty member.`);
+        await slackClient.chat.postMessage({ channel: channelId, text: createMessageTemplates(roleGroup).render('selectFailedNoCandidate', { role: roleGroup.role.name }) });
+        return { statusCode: 500, body: 'Failed to select member' };
+      }
+      logger.info(`${label} First duty member selected: ${selectedMember.memberId}`);
+
+      // ★ 今日のローテーションリストを作成 (ほかのロールの担当者も含め、交代時に飛ばす)
+      const rotationList = createRotationList(currentMembers, todayStr, policy);
+
+      // ★ 保存 (カウント+1 と DutyState更新。予約どおりの担当も通常の選出と同じくカウントする)
+      // 同時に起動した別の実行が先に選出していたら、通知はその実行に任せる
+      const reason = reservation?.memberId === selectedMember.memberId ? 'reserved' : 'scheduled';
+      if (!await updateInitialDutyData(roleGroup, selectedMember, rotationList, todayStr, reason, { recentAssignments, ...periodState })) {
+        return { statusCode: 200, body: 'Skipped (assigned concurrently by another run)' };
+      }
+      assignments.push({ roleGroup, state: await getDutyState(roleGroup), reservation: reason === 'reserved' ? reservation : undefined });
+    }
+
+    // ★ 全ロールが選出済みで通知も済んでいれば何もしない
+    // 通知だけ済んでいなければ (前回の通知が失敗した場合など) カウントは変えずに通知し直す
+    const assignedIds = assignments.filter(({ state }) => state).map(({ state }) => state.currentAssignedMemberId);
+    const resumed = assignments.every(({ resumed: r }) => r);
+    if (resumed && assignments[0].state.messageTs) {
+      logger.info(`[${groupId}] Duty for ${todayStr} is already assigned to ${assignedIds.join(', ')} and notified (ts: ${assignments[0].state.messageTs}). Skipping.`);
+      return { statusCode: 200, body: 'Skipped (already assigned and notified today)' };
+    }
+    if (resumed) {
+      logger.warn(`[${groupId}] Duty for ${todayStr} is already assigned to ${assignedIds.join(', ')} but not notified yet. Reposting without updating counts.`);
+    }
 
     // ★★★ Slack通知前に最新のメンバー情報を再取得 ★★★
-    const updatedMembers = await getAllMembers();
+    const updatedMembers = await getAllMembers(group);
+    const reservation = assignments.find(assignment => assignment.reservation)?.reservation;
+    const messages = createMessageTemplates(group);
+    const contextText = reservation ? messages.reservationNote(reservation) : undefined;
 
     // --- 5. Slackに通知 ---
-    await sendSlackNotification(selectedMember, todayStr, updatedMembers);
+    // ★ 複数役割では最初の役割に候補がいない (state: null) こともあるので、担当者IDは単一役割のときだけ取り出す
+    const createMessage = () => {
+      if (hasMultipleRoles(group)) return messages.createRoleDutyMessage(assignments, todayStr, updatedMembers, contextText);
+      const memberId = assignments[0].state.currentAssignedMemberId;
+      return messages.createDutyMessage(updatedMembers.find(m => m.memberId === memberId) || { memberId }, todayStr, updatedMembers, contextText);
+    };
+    const messageTs = await sendSlackNotification(group, createMessage());
+    for (const { roleGroup, state } of assignments) {
+      if (state) await saveDutyMessageRef(roleGroup, channelId, messageTs);
+    }
 
     return {
       statusCode: 200,
       body: JSON.stringify({
-        message: `Successfully assigned duty to ${selectedMember.memberId} and notified Slack.`,
+        message: resumed
+          ? `Reposted today's assignment of ${assignedIds.join(', ')} to Slack without updating counts.`
+          : `Successfully assigned duty to ${assignedIds.join(', ')} and notified Slack.`,
       }),
     };
 
   } catch (error) {
-    logger.error(`Handler error: ${error.message}`);
+    logger.error(`[${groupId}] Handler error: ${error.message}`);
     // console.error(error); // 詳細なスタックトレース
 
     // エラー発生をSlackに通知（可能であれば）
     try {
       await slackClient.chat.postMessage({
-        channel: slackChannelId,
-        text: `日直通知処理でエラーが発生しました: ${error.message}`,
+        channel: channelId,
+        text: createMessageTemplates(group).render('dailyError', { message: error.message }),
       });
     } catch (slackError) {
-      logger.error(`Failed to send error notification to Slack: ${slackError}`);
+      logger.error(`[${groupId}] Failed to send error notification to Slack: ${slackError}`);
     }
 
     return {
@@ -340,3 +1147,60 @@ export const handler = async (event, context) => {
     };
   }
 };
+
+// --- Lambdaハンドラー ---
+export const handler = async (event, context) => {
+  // ★ API Gateway からの呼び出しは .ics フィード (イベントにトークンが含まれるので、イベント全体はログに出さない)
+  if (isHttpRequest(event)) {
+    return await handleCalendarFeedRequest(event, new Date());
+  }
+  logger.info(`Event received: ${JSON.stringify(event)}`);
+
+  // 現在時刻 (UTC)。event.now (ISO 8601) を指定するとその時刻として実行する (ローカル実行や過去日の再現用)
+  const now = event?.now ? new Date(event.now) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    logger.error(`Invalid event.now: ${event.now}`);
+    return { statusCode: 400, body: 'Invalid now (expected an ISO 8601 date-time)' };
+  }
+  if (event?.now) {
+    logger.info(`Running as of ${now.toISOString()} (event.now)`);
+  }
+
+  // ★ 対象グループの取得 (event.groupId を指定するとそのグループだけ処理)
+  let groups;
+  try {
+    groups = await getRotationGroups();
+  } catch (error) {
+    logger.error(`Failed to load rotation groups: ${error.message}`);
+    return { statusCode: 500, body: JSON.stringify({ message: 'Failed to load rotation groups', error: error.message }) };
+  }
+  if (event?.groupId) {
+    groups = groups.filter(group => group.groupId === event.groupId);
+  }
+  if (groups.length === 0) {
+    logger.warn(`No rotation groups to process${event?.groupId ? ` (groupId: ${event.groupId})` : ''}.`);
+    return { statusCode: 404, body: 'No rotation groups found' };
+  }
+
+  // ★ グループごとに順番に処理 (1グループの失敗が他のグループに影響しないようにする)
+  const results = [];
+  for (const group of groups) {
+    // 月次レポート / 了解確認 (EventBridge ルールの入力で { "mode": "monthly_report" } などを指定して実行)
+    let result;
+    if (event?.mode === 'monthly_report') {
+      result = await handleMonthlyReport(group, event, now);
+    } else if (event?.mode === 'weekly_preview') {
+      result = await handleWeeklyPreview(group, event, now);
+    } else if (event?.mode === 'ack_check') {
+      result = await handleAckCheck(group, now);
+    } else {
+      result = await processDailyDuty(group, now);
+    }
+    results.push({ groupId: group.groupId, ...result });
+  }
+
+  return {
+    statusCode: Math.max(...results.map(r => r.statusCode)),
+    body: JSON.stringify({ results }),
+  };
+};
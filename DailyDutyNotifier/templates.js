@@ -0,0 +1,672 @@
+// --- メッセージのテンプレート ---
+// ※ DailyDutyNotifier/templates.js と ReselectDutyHandler/templates.js は同じ内容 (Lambda ごとに zip するため両方に置いている)
+// 日直メッセージ (投稿と、交代・了解・自動交代での更新)、変更の注記、メンバーリスト、エラーメッセージの文言と
+// Block Kit の組み立てをここにまとめ、どちらの Lambda が作っても同じメッセージになるようにする。
+// /duty コマンドの返信、DM、レポート・週間予定、モーダル、App Home の文言もここに置く。
+// グループの locale (ja / en) で文言を選び、messageTemplates で文言ごとに上書きできる。
+// 文言の {date} や {mention} の部分は値に置き換える (使える値は各文言のコメントを参照)。
+
+import { isoDayOfWeek } from './calendar.js';
+
+export const DEFAULT_LOCALE = 'ja';
+
+export const LOCALES = {
+  ja: {
+    defaultRoleName: '日直',                                                  // ロールを設定していない場合のロール名
+    announcement: '☀️ 今日 ({date}) の{role}は {mention} さんです！\nよろしくお願いします！', // {date} {role} {mention}
+    roleAnnouncement: '☀️ 今日 ({date}) の当番です！\nよろしくお願いします！',         // ロールが複数の場合 {date}
+    roleAnnouncementFallback: '☀️ 今日 ({date}) の当番 {summary}',               // 通知用テキスト {date} {summary}
+    roleSummaryItem: '{role}: {mention}',                                     // {role} {mention}
+    roleLine: '*{role}*: {mention} さん',                                      // {role} {mention}
+    noAssignee: 'なし',
+    noCandidate: '*{role}*: _候補者なし_',                                      // {role}
+    acknowledgeButton: '了解しました',
+    reselectButton: '担当を変更する',
+    selectPlaceholder: '交代する人を選ぶ',
+    undoButton: '元に戻す',
+    acknowledged: ':white_check_mark: {user} さんが了解しました ({time})',       // {user} {time}
+    changeNotice: ':arrows_counterclockwise: {user} さんが担当者を変更しました。',   // {user}
+    roleChangeNotice: ':arrows_counterclockwise: {user} さんが{role}の担当者を変更しました。', // {user} {role}
+    changeReason: '(理由: {reason})',                                          // {reason} (changeNotice の後ろに付ける)
+    changeReasons: { sick: '体調不良', conflict: '予定の重複', absence: '不在', other: 'その他' },
+    undoNotice: ':leftwards_arrow_with_hook: {user} さんが担当者の変更を元に戻しました。',      // {user}
+    roleUndoNotice: ':leftwards_arrow_with_hook: {user} さんが{role}の担当者の変更を元に戻しました。', // {user} {role}
+    skipNotice: ':arrows_counterclockwise: {user} さんが担当者を変更しました。今日の{role}は {mention} さんです！', // {user} {role} {mention}
+    unacknowledgedNotice: ':alarm_clock: {mention} さんの確認がなかったため自動で交代しました。', // {mention} (交代前の担当者)
+    swapReservationNote: ':pushpin: {user} さんとの日直の交換で事前に決まっていた担当です。', // {user} (交換の相手)
+    reservationNote: ':pushpin: 事前に予約された担当です{createdBy}{note}',      // {createdBy} {note}
+    reservationCreatedBy: ' (予約: {user})',                                    // {user}
+    reservationMemo: '「{note}」',                                             // {note}
+    memberListTitle: '*現在の担当回数 (表示順):*',
+    memberListItem: '• {name}: {count}{absence}',                             // {name} {count} {absence}
+    memberCount: '{count}回',                                                 // {count}
+    roleMemberCount: '{role} {count}回',                                      // {role} {count}
+    absenceNote: ' ({type})',                                                 // {type}
+    absenceTypes: { vacation: '休暇', sick: '病欠', business_trip: '出張', paused: '休止', default: '不在' },
+    calendarName: '{group} の{role}',                                         // .ics フィードの名前 {group} {role}
+    calendarMemberName: '{group} の{role} ({name} さん)',                      // メンバーで絞り込んだ場合 {group} {role} {name}
+    calendarEvent: '{role}: {name} さん',                                      // 決まった担当 {role} {name}
+    calendarEventProjected: '{role} (予定): {name} さん',                       // 見込みの担当 {role} {name}
+    calendarProjectedNote: '現在の担当回数から計算した見込みです。交代や不在の登録によって変わることがあります。',
+    // --- 日付 ---
+    weekdays: ['月', '火', '水', '木', '金', '土', '日'],                            // 月曜始まり
+    dateWithWeekday: '{date} ({weekday})',                                    // {date} (yyyy-MM-dd) {weekday}
+    shortDate: '{month}/{day} ({weekday})',                                   // 週間予定の日付 {month} {day} {weekday}
+    period: '{from} 〜 {to}',                                                  // {from} {to}
+    // --- 定時実行 (DailyDutyNotifier) ---
+    selectFailedNoMembers: '{role}担当者を選出できませんでした: メンバーが登録されていません。', // {role}
+    selectFailedNoCandidate: '{role}担当者を選出できませんでした: 候補者が見つかりません。',  // {role}
+    ackReminderDm: '⏰ 今日 ({date}) の{role}の確認がまだです。日直メッセージの「{button}」を押してください。', // 本人への DM {date} {role} {button}
+    ackReminder: '⏰ {mention} さん、今日の{role}の確認がまだです。確認したら「{button}」を押してください。', // スレッドでのリマインド {mention} {role} {button}
+    ackReassigned: '⏰ {mention} さんの確認がなかったため、今日の{role}を {newMention} さんに交代しました。', // {mention} {role} {newMention}
+    monthlyReportTitle: '📊 {year}年{month}月の{role}レポート ({days}日分)',          // {year} {month} {role} {days}
+    monthlyReportItem: '• {name}: {days}日 (交代で引き受け {takenOver}回 / 交代してもらった {handedOff}回)', // {name} {days} {takenOver} {handedOff}
+    monthlyReportNote: '※ 累計の担当回数ではなく、この月の担当履歴から集計しています。',
+    previewTitle: '🗓 {role}の予定 ({period})',                                 // {role} {period}
+    previewDateHeader: '*日付*',
+    previewAssigneeHeader: '*担当者 (予定)*',
+    previewDayOff: '_お休み ({reason})_',                                       // {reason}
+    dayOffWeekday: '休業曜日 ({weekday})',                                      // お休みの理由 (workWeek に含まれない曜日) {weekday}
+    dayOffClosed: '休業日',                                                   // お休みの理由 (名前のない休業日)
+    previewConfirmed: ' (決定)',
+    previewReserved: ' (予約)',
+    previewNoCandidate: '_候補者なし_',
+    previewNoWorkingDays: 'この期間に稼働日はありません。',
+    previewNote: '※ 現在の担当回数から計算した見込みです。「{button}」や `/duty skip` での交代、不在の登録によって変わることがあります。交代の相談はお早めに！', // {button}
+    // --- ボタン・モーダル (ReselectDutyHandler) ---
+    noGroup: 'このチャンネルに紐づく日直ローテーションが見つかりません。',
+    noGroups: '日直ローテーションがまだ設定されていません。',
+    conflict: 'すでに {user} さんが担当者を変更しています。現在の{role}は {mention} さんです。', // {user} {role} {mention}
+    someoneElse: '他の人',                                                    // conflict の {user} が分からない場合
+    invalidRotation: 'エラー: ローテーション情報が見つからないため、担当者を変更できません。',
+    noOtherMember: '交代できる他の担当がいません。',
+    noAvailableMember: '交代できる他の担当がいません (不在のメンバーを除く)。',
+    sameMember: 'そのメンバーはすでに担当です。',
+    memberNotInRotation: '選択したメンバーは今日のローテーションに含まれていません。',
+    memberBusy: '選択したメンバーは今日ほかの当番を担当しています。',
+    memberLeft: '選択したメンバーはローテーションから抜けています。',
+    memberAbsent: '選択したメンバーは今日不在のため担当にできません。',
+    noDutyMessage: '作り直す日直メッセージが見つかりません (今日の選出前か、メッセージが記録されていません)。',
+    messageUpdateFailed: '日直メッセージを更新できませんでした: {message}',        // {message}
+    ackStale: 'このメッセージの担当者はすでに変更されています。',
+    ackNotAssignee: '「{button}」は今日の{role} ({mention} さん) だけが押せます。',   // {button} {role} {mention}
+    undoStale: 'その後に担当者が変更されているため、元に戻せません。',
+    undoExpired: '元に戻せるのは変更から{minutes}分以内です。',                      // {minutes}
+    changeModalTitle: '担当者の変更',
+    changeModalSubmit: '変更する',
+    changeModalClose: 'キャンセル',
+    changeModalToMember: '{current} さんから {next} さんに担当を変更します。',       // {current} {next}
+    changeModalToNext: '{current} さんから次の人に担当を変更します。',               // {current}
+    changeModalReason: '理由',
+    changeModalReasonPlaceholder: '理由を選択',
+    changeModalComment: 'コメント',
+    changeFailed: '担当者を変更できませんでした: {message}',                       // {message}
+    requestFailed: 'リクエストを処理できませんでした: {message}',                   // {message}
+    // --- /duty コマンド ---
+    commandUsage: [
+      '*使い方:*',
+      '• `/duty who` 今日の日直を表示',
+      '• `/duty list` 担当回数の一覧を表示',
+      '• `/duty next` この後の交代順を表示',
+      '• `/duty skip` 今日の日直を次の人に交代',
+      '• `/duty refresh` 今日の日直メッセージを最新の状態で作り直す',
+      '• `/duty swap @メンバー yyyy-MM-dd` 今日の日直を代わってもらい、代わりに指定した日を担当 (相手の承諾が必要)',
+      '• `/duty reserve @メンバー yyyy-MM-dd [メモ]` 指定した日の日直を予約',
+      '• `/duty unreserve yyyy-MM-dd` 予約を取り消す',
+      '• `/duty reservations` この先の予約を表示',
+      '• `/duty join` / `/duty leave` 自分をローテーションに追加 / ローテーションから外す',
+      '• `/duty pause yyyy-MM-dd [yyyy-MM-dd]` / `/duty unpause` 指定した期間は自分を対象から外す / 取り消す',
+      '• `/duty reorder @メンバー1 @メンバー2 ...` 表示順を並べ替え (管理者のみ)',
+    ].join('\n'),
+    notAssignedYet: 'まだ{role}担当者が決まっていません。',                          // {role}
+    who: '☀️ {date} の{role}は {name} さんです。',                               // {date} {role} {name}
+    whoRoles: '☀️ {date} の当番:\n{lines}',                                     // {date} {lines}
+    whoRoleItem: '• {role}: {name} さん',                                      // {role} {name}
+    whoRoleUnassigned: '• {role}: 未定',                                        // {role}
+    noMembers: 'メンバーが登録されていません。',
+    memberListReply: '現在の担当回数',                                          // /duty list の通知用テキスト
+    noRotation: 'ローテーション情報がまだありません。',
+    nextTitle: '*「{button}」を押した場合の交代順 ({date}):*',                     // {button} {date}
+    refreshed: '今日の日直メッセージを最新の状態で作り直しました。',
+    swapUsage: '使い方: `/duty swap @メンバー yyyy-MM-dd` (今日の日直を @メンバー に代わってもらい、代わりに指定した日を担当します)',
+    swapNoReservationsTable: '日直の交換には担当予約のテーブル (RESERVATIONS_TABLE_NAME) の設定が必要です。',
+    swapOnlyAssignee: '日直の交換を依頼できるのは今日の{role} ({mention} さん) だけです。', // {role} {mention}
+    swapTargetNotMember: '交換の相手がこのローテーションのメンバーではありません。',
+    swapSelf: '自分自身とは交換できません。',
+    swapTargetAbsent: '{mention} さんは今日不在のため交換できません。',               // {mention}
+    swapTargetBusy: '{mention} さんは今日ほかの当番を担当しているため交換できません。',   // {mention}
+    swapDateNotFuture: '交換する日は明日以降の日付を指定してください。',
+    swapDayOff: '{date} はお休み ({reason}) のため交換できません。',                  // {date} {reason}
+    swapAlreadyReserved: '{date} にはすでに {mention} さんの担当予約があります。',      // {date} {mention}
+    swapRequest: '🔁 {user} さんから日直の交換の依頼です。\n今日 ({today}) の日直を代わりに担当すると、{date} は {user} さんが担当します。', // {user} {today} {date}
+    swapAcceptButton: '引き受ける',
+    swapDeclineButton: 'お断りする',
+    swapRequested: '{mention} さんに日直の交換 (今日 ⇔ {date}) を依頼しました。返事があるまでお待ちください。', // {mention} {date}
+    swapDeclined: '日直の交換 ({today} ⇔ {date}) をお断りしました。',                 // 相手の DM {today} {date}
+    swapDeclinedNotice: '{user} さんは日直の交換 ({today} ⇔ {date}) をお断りしました。', // 依頼者への DM {user} {today} {date}
+    swapNotForYou: 'この依頼は {mention} さんへのものです。引き受けるかどうかは {mention} さんだけが選べます。', // {mention}
+    swapNoGroup: 'この依頼の日直ローテーションが見つかりません。',
+    swapStale: 'この依頼は無効になりました (今日の日直がすでに変更されています)。',
+    swapInvalid: 'この依頼は無効になりました: {reason}',                            // {reason}
+    swapNotice: ':handshake: {requester} さんと {target} さんが日直を交換しました ({requester} さんは {date} を担当)。', // 日直メッセージの注記 {requester} {target} {date}
+    swapAccepted: '✅ 日直の交換を引き受けました。今日 ({today}) はあなた、{date} は {requester} さんが担当します。', // 相手の DM {today} {date} {requester}
+    swapAcceptedNotice: '✅ {user} さんが日直の交換を引き受けました。{date} はあなたが担当します。', // 依頼者への DM {user} {date}
+    reserveUsage: '使い方: `/duty reserve @メンバー yyyy-MM-dd [メモ]` / `/duty unreserve yyyy-MM-dd`',
+    noReservationsTable: '担当予約には予約用のテーブル (RESERVATIONS_TABLE_NAME) の設定が必要です。',
+    notAMember: '{name} さんはこのローテーションのメンバーではありません。',           // {name}
+    reserveDateNotFuture: '予約は明日以降の日付を指定してください。',
+    reserveDayOff: '{date} はお休み ({reason}) のため予約できません。',               // {date} {reason}
+    memberAbsentOn: '{date} は {mention} さんが不在の予定です。',                    // {date} {mention}
+    reserveExists: '{date} にはすでに予約があります。先に `/duty unreserve {dateArg}` で取り消してください。', // {date} {dateArg}
+    reserved: ':pushpin: {user} さんが {date} の日直を {mention} さんに予約しました。{note}', // {user} {date} {mention} {note} (reservationMemo)
+    noReservationOn: '{date} の予約はありません。',                                // {date}
+    unreserveSwapOnly: 'この予約は日直の交換で入ったものなので、{mention} さんか {other} さんだけが取り消せます。', // {mention} {other}
+    unreserved: ':wastebasket: {user} さんが {date} の日直の予約 ({mention} さん) を取り消しました。', // {user} {date} {mention}
+    noUpcomingReservations: 'この先の日直の予約はありません。',
+    reservationsTitle: '*この先の日直の予約:*',
+    reservationsItem: '• {date}: {name} ({reason}){note}',                      // {date} {name} {reason} {note} (reservationMemo)
+    reservationReasons: { manual: '予約', swap: '交換' },
+    syncedMembership: 'このローテーションのメンバーは {source} から自動で同期しています。参加・離脱はそちらで行ってください。', // {source}
+    syncSourceUsergroup: 'ユーザーグループ {usergroup}',                            // {usergroup}
+    syncSourceChannel: 'チャンネル {channel}',                                    // {channel}
+    alreadyMember: 'すでにこのローテーションのメンバーです。',
+    joinFailed: 'メンバーの登録に失敗しました。もう一度お試しください。',
+    joined: ':wave: {user} さんが日直のローテーションに参加しました。',              // {user}
+    notMemberSelf: 'このローテーションのメンバーではありません。',
+    left: ':wave: {user} さんが日直のローテーションから抜けました。',                // {user}
+    leftStillAssigned: '今日の{role}はそのままです。交代する場合は `/duty skip` を使ってください。', // {role}
+    leftReservations: '予約が残っています: {dates}',                              // {dates}
+    pauseUsage: '使い方: `/duty pause yyyy-MM-dd [yyyy-MM-dd]` (開始日から終了日まで日直の対象から外れます。終了日を省略すると1日だけ)',
+    pauseEndBeforeStart: '終了日は開始日以降の日付を指定してください。',
+    pausePast: '過去の期間は指定できません。',
+    pauseNotMember: 'このローテーションのメンバーではありません。`/duty join` で参加できます。',
+    paused: ':double_vertical_bar: {period} は日直の対象から外れます。取り消す場合は `/duty unpause` を使ってください。', // {period}
+    noPauseToCancel: '取り消せる休止はありません。',
+    unpaused: ':arrow_forward: 休止を取り消しました。',
+    reorderUsage: '使い方: `/duty reorder @メンバー1 @メンバー2 ...` (指定した順に表示順を並べ替えます。指定しなかったメンバーはその後ろ)',
+    reorderAdminOnly: '表示順の変更は管理者 (ADMIN_USER_IDS / adminUserIds) だけが行えます。',
+    reordered: ':arrows_clockwise: {user} さんが表示順を変更しました。\n{lines}',      // {user} {lines}
+    // --- App Home ---
+    homeToday: '*☀️ 今日 ({date}) の{role}*',                                    // {date} {role}
+    homeRolesLabel: '当番',                                                     // ロールが複数の場合の homeToday の {role}
+    homeAssignee: '{name} さん',                                                // {name}
+    homeAcknowledged: ' (了解済み)',
+    homeNotAssigned: 'まだ決まっていません',
+    homeMyCounts: '*あなたの担当回数*',
+    homeMyCountItem: '{count}回 / 最後の担当日: {lastDate}',                      // {count} {lastDate}
+    homeNoLastDate: 'まだありません',
+    homeNotMember: '_あなたはこのローテーションのメンバーではありません。参加するには、チャンネルで `/duty join` を実行してください。_',
+    homeUpcomingTitle: '*交代の順番*',
+    homeYou: '*{name} (あなた)*',                                               // {name}
+    // --- エラー ---
+    error: 'エラーが発生しました: {message}',                                   // {message}
+    retryButton: 'もう一度試す',                                               // エラーを伝える本人だけのメッセージのボタン
+    dailyError: '日直通知処理でエラーが発生しました: {message}',                   // {message}
+    unknownError: '不明なエラー',
+  },
+  en: {
+    defaultRoleName: 'duty',
+    announcement: "☀️ Today ({date}), {mention} is on {role}!\nThank you!",
+    roleAnnouncement: "☀️ Today's ({date}) assignments\nThank you!",
+    roleAnnouncementFallback: '☀️ Assignments for {date}: {summary}',
+    roleSummaryItem: '{role}: {mention}',
+    roleLine: '*{role}*: {mention}',
+    noAssignee: 'none',
+    noCandidate: '*{role}*: _no candidates_',
+    acknowledgeButton: 'Got it',
+    reselectButton: 'Change assignee',
+    selectPlaceholder: 'Pick a replacement',
+    undoButton: 'Undo',
+    acknowledged: ':white_check_mark: {user} acknowledged ({time})',
+    changeNotice: ':arrows_counterclockwise: {user} changed the assignee.',
+    roleChangeNotice: ':arrows_counterclockwise: {user} changed the {role} assignee.',
+    changeReason: ' (Reason: {reason})',
+    changeReasons: { sick: 'Illness', conflict: 'Schedule conflict', absence: 'Away', other: 'Other' },
+    undoNotice: ':leftwards_arrow_with_hook: {user} undid the change of assignee.',
+    roleUndoNotice: ':leftwards_arrow_with_hook: {user} undid the change of the {role} assignee.',
+    skipNotice: ":arrows_counterclockwise: {user} changed the assignee. Today's {role} is {mention}!",
+    unacknowledgedNotice: ':alarm_clock: Reassigned automatically because {mention} did not acknowledge.',
+    swapReservationNote: ':pushpin: Decided in advance by a swap with {user}.',
+    reservationNote: ':pushpin: Reserved in advance{createdBy}{note}',
+    reservationCreatedBy: ' (by {user})',
+    reservationMemo: ': "{note}"',
+    memberListTitle: '*Current counts (display order):*',
+    memberListItem: '• {name}: {count}{absence}',
+    memberCount: '{count}',
+    roleMemberCount: '{role} {count}',
+    absenceNote: ' ({type})',
+    absenceTypes: { vacation: 'vacation', sick: 'sick leave', business_trip: 'business trip', paused: 'paused', default: 'away' },
+    calendarName: '{group} {role}',
+    calendarMemberName: '{group} {role} ({name})',
+    calendarEvent: '{role}: {name}',
+    calendarEventProjected: '{role} (planned): {name}',
+    calendarProjectedNote: 'Projected from the current counts. Swaps and absences may change it.',
+    weekdays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+    dateWithWeekday: '{date} ({weekday})',
+    shortDate: '{month}/{day} ({weekday})',
+    period: '{from} – {to}',
+    selectFailedNoMembers: 'Could not pick the {role} assignee: no members are registered.',
+    selectFailedNoCandidate: 'Could not pick the {role} assignee: no candidates are available.',
+    ackReminderDm: '⏰ You have not acknowledged today\'s ({date}) {role} yet. Please press "{button}" on the duty message.',
+    ackReminder: '⏰ {mention}, you have not acknowledged today\'s {role} yet. Please press "{button}".',
+    ackReassigned: '⏰ {mention} did not acknowledge, so today\'s {role} was handed over to {newMention}.',
+    monthlyReportTitle: '📊 {role} report for {month}/{year} ({days} days)',
+    monthlyReportItem: '• {name}: {days} days (took over {takenOver} / handed off {handedOff})',
+    monthlyReportNote: '* Counted from this month\'s history, not from the total counts.',
+    previewTitle: '🗓 Upcoming {role} ({period})',
+    previewDateHeader: '*Date*',
+    previewAssigneeHeader: '*Assignee (planned)*',
+    previewDayOff: '_day off ({reason})_',
+    dayOffWeekday: 'weekly day off ({weekday})',
+    dayOffClosed: 'closed',
+    previewConfirmed: ' (confirmed)',
+    previewReserved: ' (reserved)',
+    previewNoCandidate: '_no candidates_',
+    previewNoWorkingDays: 'There are no working days in this period.',
+    previewNote: '* Projected from the current counts. "{button}", `/duty skip` and absences may change it. Please arrange swaps early!',
+    noGroup: 'No duty rotation is linked to this channel.',
+    noGroups: 'No duty rotation is set up yet.',
+    conflict: '{user} has already changed the assignee. Today\'s {role} is now {mention}.',
+    someoneElse: 'Someone else',
+    invalidRotation: 'Error: the assignee cannot be changed because the rotation is missing.',
+    noOtherMember: 'There is nobody else to hand over to.',
+    noAvailableMember: 'There is nobody else to hand over to (absent members excluded).',
+    sameMember: 'That member is already on duty.',
+    memberNotInRotation: 'The selected member is not in today\'s rotation.',
+    memberBusy: 'The selected member already has another role today.',
+    memberLeft: 'The selected member has left the rotation.',
+    memberAbsent: 'The selected member is absent today.',
+    noDutyMessage: 'There is no duty message to rebuild (today\'s assignee is not picked yet, or the message was not recorded).',
+    messageUpdateFailed: 'Could not update the duty message: {message}',
+    ackStale: 'The assignee of this message has already changed.',
+    ackNotAssignee: 'Only today\'s {role} ({mention}) can press "{button}".',
+    undoStale: 'The assignee has changed since, so this cannot be undone.',
+    undoExpired: 'Changes can only be undone within {minutes} minutes.',
+    changeModalTitle: 'Change assignee',
+    changeModalSubmit: 'Change',
+    changeModalClose: 'Cancel',
+    changeModalToMember: 'Hand over from {current} to {next}.',
+    changeModalToNext: 'Hand over from {current} to the next person.',
+    changeModalReason: 'Reason',
+    changeModalReasonPlaceholder: 'Pick a reason',
+    changeModalComment: 'Comment',
+    changeFailed: 'Could not change the assignee: {message}',
+    requestFailed: 'Could not process the request: {message}',
+    commandUsage: [
+      '*Usage:*',
+      '• `/duty who` show today\'s assignee',
+      '• `/duty list` show the counts',
+      '• `/duty next` show the order of handovers',
+      '• `/duty skip` hand today\'s duty to the next person',
+      '• `/duty refresh` rebuild today\'s duty message from the latest state',
+      '• `/duty swap @member yyyy-MM-dd` have @member take today and take the given day instead (they need to accept)',
+      '• `/duty reserve @member yyyy-MM-dd [note]` reserve a day',
+      '• `/duty unreserve yyyy-MM-dd` cancel a reservation',
+      '• `/duty reservations` show upcoming reservations',
+      '• `/duty join` / `/duty leave` join / leave the rotation',
+      '• `/duty pause yyyy-MM-dd [yyyy-MM-dd]` / `/duty unpause` sit out a period / cancel it',
+      '• `/duty reorder @member1 @member2 ...` change the display order (admins only)',
+    ].join('\n'),
+    notAssignedYet: 'Today\'s {role} is not picked yet.',
+    who: '☀️ {name} is on {role} for {date}.',
+    whoRoles: '☀️ Assignments for {date}:\n{lines}',
+    whoRoleItem: '• {role}: {name}',
+    whoRoleUnassigned: '• {role}: not decided',
+    noMembers: 'No members are registered.',
+    memberListReply: 'Current counts',
+    noRotation: 'There is no rotation yet.',
+    nextTitle: '*Order when "{button}" is pressed ({date}):*',
+    refreshed: 'Rebuilt today\'s duty message from the latest state.',
+    swapUsage: 'Usage: `/duty swap @member yyyy-MM-dd` (@member takes today\'s duty and you take the given day instead)',
+    swapNoReservationsTable: 'Swaps need the reservations table (RESERVATIONS_TABLE_NAME).',
+    swapOnlyAssignee: 'Only today\'s {role} ({mention}) can ask for a swap.',
+    swapTargetNotMember: 'The swap partner is not a member of this rotation.',
+    swapSelf: 'You cannot swap with yourself.',
+    swapTargetAbsent: '{mention} is absent today and cannot swap.',
+    swapTargetBusy: '{mention} already has another role today and cannot swap.',
+    swapDateNotFuture: 'Pick a swap date from tomorrow on.',
+    swapDayOff: '{date} is a day off ({reason}) and cannot be swapped.',
+    swapAlreadyReserved: '{mention} is already reserved for {date}.',
+    swapRequest: '🔁 {user} asks you to swap duty.\nIf you take today\'s ({today}) duty, {user} will take {date}.',
+    swapAcceptButton: 'Accept',
+    swapDeclineButton: 'Decline',
+    swapRequested: 'Asked {mention} to swap (today ⇔ {date}). Please wait for the reply.',
+    swapDeclined: 'You declined the swap ({today} ⇔ {date}).',
+    swapDeclinedNotice: '{user} declined the swap ({today} ⇔ {date}).',
+    swapNotForYou: 'This request is for {mention}. Only they can accept or decline it.',
+    swapNoGroup: 'The rotation of this request was not found.',
+    swapStale: 'This request is no longer valid (today\'s assignee has already changed).',
+    swapInvalid: 'This request is no longer valid: {reason}',
+    swapNotice: ':handshake: {requester} and {target} swapped duty ({requester} takes {date}).',
+    swapAccepted: '✅ You accepted the swap. You take today ({today}) and {requester} takes {date}.',
+    swapAcceptedNotice: '✅ {user} accepted the swap. You take {date}.',
+    reserveUsage: 'Usage: `/duty reserve @member yyyy-MM-dd [note]` / `/duty unreserve yyyy-MM-dd`',
+    noReservationsTable: 'Reservations need the reservations table (RESERVATIONS_TABLE_NAME).',
+    notAMember: '{name} is not a member of this rotation.',
+    reserveDateNotFuture: 'Pick a date from tomorrow on.',
+    reserveDayOff: '{date} is a day off ({reason}) and cannot be reserved.',
+    memberAbsentOn: '{mention} is scheduled to be away on {date}.',
+    reserveExists: '{date} is already reserved. Cancel it first with `/duty unreserve {dateArg}`.',
+    reserved: ':pushpin: {user} reserved {date} for {mention}{note}',
+    noReservationOn: 'There is no reservation on {date}.',
+    unreserveSwapOnly: 'This reservation comes from a swap, so only {mention} or {other} can cancel it.',
+    unreserved: ':wastebasket: {user} cancelled the reservation of {date} ({mention}).',
+    noUpcomingReservations: 'There are no upcoming reservations.',
+    reservationsTitle: '*Upcoming reservations:*',
+    reservationsItem: '• {date}: {name} ({reason}){note}',
+    reservationReasons: { manual: 'reserved', swap: 'swap' },
+    syncedMembership: 'Members of this rotation are synced from {source}. Please join or leave there.',
+    syncSourceUsergroup: 'the user group {usergroup}',
+    syncSourceChannel: 'the channel {channel}',
+    alreadyMember: 'You are already a member of this rotation.',
+    joinFailed: 'Could not add you to the rotation. Please try again.',
+    joined: ':wave: {user} joined the duty rotation.',
+    notMemberSelf: 'You are not a member of this rotation.',
+    left: ':wave: {user} left the duty rotation.',
+    leftStillAssigned: 'Today\'s {role} stays as is. Use `/duty skip` to hand it over.',
+    leftReservations: 'Reservations remain: {dates}',
+    pauseUsage: 'Usage: `/duty pause yyyy-MM-dd [yyyy-MM-dd]` (sit out from the start date to the end date, or just one day)',
+    pauseEndBeforeStart: 'The end date must not be before the start date.',
+    pausePast: 'The period is already over.',
+    pauseNotMember: 'You are not a member of this rotation. Use `/duty join` to join.',
+    paused: ':double_vertical_bar: You sit out {period}. Use `/duty unpause` to cancel.',
+    noPauseToCancel: 'There is no pause to cancel.',
+    unpaused: ':arrow_forward: Cancelled your pause.',
+    reorderUsage: 'Usage: `/duty reorder @member1 @member2 ...` (members not listed keep their order after them)',
+    reorderAdminOnly: 'Only admins (ADMIN_USER_IDS / adminUserIds) can change the display order.',
+    reordered: ':arrows_clockwise: {user} changed the display order.\n{lines}',
+    homeToday: '*☀️ Today\'s {role} ({date})*',
+    homeRolesLabel: 'assignments',
+    homeAssignee: '{name}',
+    homeAcknowledged: ' (acknowledged)',
+    homeNotAssigned: 'not picked yet',
+    homeMyCounts: '*Your counts*',
+    homeMyCountItem: '{count} times / last on duty: {lastDate}',
+    homeNoLastDate: 'never',
+    homeNotMember: '_You are not a member of this rotation. Run `/duty join` in the channel to join._',
+    homeUpcomingTitle: '*Handover order*',
+    homeYou: '*{name} (you)*',
+    error: 'An error occurred: {message}',
+    retryButton: 'Try again',
+    dailyError: 'The daily duty notification failed: {message}',
+    unknownError: 'unknown error',
+  },
+};
+
+// ★ 不在期間 (休暇・病欠・出張など) の判定 (メンバーリストの表示と交代先の候補で使う)
+// DutyMembers の absences 属性に [{ startDate: 'yyyy-MM-dd', endDate: 'yyyy-MM-dd', type: 'vacation' }] の形式で登録する
+export const findAbsenceOn = (member, dateStr) =>
+  (member?.absences || []).find(absence =>
+    absence?.startDate && absence.startDate <= dateStr && dateStr <= (absence.endDate || absence.startDate)
+  );
+
+export const isMemberAbsentOn = (member, dateStr) => !!findAbsenceOn(member, dateStr);
+
+// ★ 直前の交代を「元に戻す」ボタンで戻せるか (DutyState の lastChange。undoableUntil を過ぎたらボタンを出さない)
+export const isUndoable = (lastChange, now = new Date()) =>
+  !!lastChange?.undoableUntil && Date.parse(lastChange.undoableUntil) > now.getTime();
+
+// Slackのメンション形式 <@MEMBER_ID> を使うと通知が飛ぶ
+// memberId が Slack のユーザーID でない (手で登録した名前など) 場合は名前で表示する。メンバー同期を使う場合は全員がユーザーID
+// 担当者が分からない場合 (State に記録がないなど) は '?'
+export const toMention = (member) => {
+  const memberId = member?.memberId;
+  if (!memberId) return '?';
+  return memberId.startsWith('U') || memberId.startsWith('W') ? `<@${memberId}>` : (member.memberName || memberId);
+};
+
+// 表示順 (displayOrder -> memberId) で並べ替え
+const compareByDisplayOrder = (a, b) => {
+  const orderA = a.displayOrder ?? Infinity;
+  const orderB = b.displayOrder ?? Infinity;
+  if (orderA !== orderB) return orderA - orderB;
+  return (a.memberId || '').localeCompare(b.memberId || '');
+};
+
+// ★ グループのテンプレートを作成
+// group: normalizeGroup したグループ (locale, messageTemplates, roles を使う)。ロールごとのグループでもよい
+export const createMessageTemplates = (group = {}) => {
+  const locale = LOCALES[group.locale] ? group.locale : DEFAULT_LOCALE;
+  const base = LOCALES[locale];
+  const overrides = group.messageTemplates || {};
+  const templates = {
+    ...base,
+    ...overrides,
+    changeReasons: { ...base.changeReasons, ...overrides.changeReasons },
+    absenceTypes: { ...base.absenceTypes, ...overrides.absenceTypes },
+    reservationReasons: { ...base.reservationReasons, ...overrides.reservationReasons },
+  };
+  // ロールを設定していないグループの表示名 (normalizeGroup の既定のロール名)
+  const roleName = group.role?.name || group.roles?.[0]?.name || templates.defaultRoleName;
+
+  // 文言の {name} を values の値に置き換える (値がない部分はそのまま)
+  const render = (key, values = {}) => String(templates[key] ?? LOCALES[DEFAULT_LOCALE][key] ?? key)
+    .replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined && values[name] !== null ? String(values[name]) : match));
+
+  const absenceLabel = (type) => templates.absenceTypes[type] || templates.absenceTypes.default;
+  const reservationLabel = (reason) => templates.reservationReasons[reason] || templates.reservationReasons.manual;
+
+  // 曜日つきの日付 (例: 2026-04-01 (水))。short なら週間予定の 4/1 (水) の形
+  const formatDate = (dateStr, { short = false } = {}) => {
+    const [, month, day] = dateStr.split('-');
+    const weekday = templates.weekdays[isoDayOfWeek(dateStr) - 1];
+    return short
+      ? render('shortDate', { month: Number(month), day: Number(day), weekday })
+      : render('dateWithWeekday', { date: dateStr, weekday });
+  };
+  const errorText = (error) => render('error', { message: error?.message || templates.unknownError });
+
+  // 休みの理由 (calendar.js の getDayOffReason の結果)。祝日・休業日の名前があればその名前
+  const formatDayOffReason = (reason) => {
+    if (reason.name) return reason.name;
+    return reason.code === 'weekday'
+      ? render('dayOffWeekday', { weekday: templates.weekdays[reason.dayOfWeek - 1] })
+      : render('dayOffClosed');
+  };
+
+  // 変更の理由 (例: 体調不良 / 発熱のため)
+  const formatChangeReason = ({ category, comment }) => {
+    const label = templates.changeReasons[category] || category;
+    return comment ? `${label} / ${comment}` : label;
+  };
+
+  // 交代・スキップの注記 (理由があれば後ろに付ける)。ロールが複数ならロール名も入れる
+  const changeNotice = (userId, changeReason) => {
+    const user = userId ? `<@${userId}>` : '?';
+    const notice = group.roles?.length > 1 ? render('roleChangeNotice', { user, role: roleName }) : render('changeNotice', { user });
+    return changeReason ? `${notice}${render('changeReason', { reason: formatChangeReason(changeReason) })}` : notice;
+  };
+
+  // 「元に戻す」の注記。ロールが複数ならロール名も入れる
+  const undoNotice = (userId) => {
+    const user = userId ? `<@${userId}>` : '?';
+    return group.roles?.length > 1 ? render('roleUndoNotice', { user, role: roleName }) : render('undoNotice', { user });
+  };
+
+  // 了解済みの表示 (時刻は Slack の日付フォーマットで見る人のタイムゾーンに合わせて表示)
+  const acknowledgedText = (userId, acknowledgedAt) => render('acknowledged', {
+    user: `<@${userId}>`,
+    time: `<!date^${Math.floor(Date.parse(acknowledgedAt) / 1000)}^{time}|${acknowledgedAt}>`,
+  });
+
+  // 予約どおりに選ばれた日の日直メッセージに付ける注記
+  const reservationNote = (reservation) => {
+    if (reservation.reason === 'swap') {
+      return render('swapReservationNote', { user: `<@${reservation.swapWith}>` });
+    }
+    return render('reservationNote', {
+      createdBy: reservation.createdBy ? render('reservationCreatedBy', { user: `<@${reservation.createdBy}>` }) : '',
+      note: reservation.note ? render('reservationMemo', { note: reservation.note }) : '',
+    });
+  };
+
+  // ★ メンバーリスト表示用ブロック作成 (displayOrder でソート)
+  // roleGroups を渡すと (ロールが複数の場合) ロールごとの回数を表示する
+  const createMemberListBlocks = (members, dateStr, roleGroups) => {
+    if (!members || members.length === 0) return [];
+
+    const lines = [...members].sort(compareByDisplayOrder).map(member => {
+      // ロールが複数あればロールごとの回数を並べる
+      const count = roleGroups && roleGroups.length > 1
+        ? roleGroups.map(rg => render('roleMemberCount', { role: rg.role.name, count: Number(member[rg.countAttribute]) || 0 })).join(' / ')
+        : render('memberCount', { count: member.dutyCount || 0 });
+      const absence = dateStr ? findAbsenceOn(member, dateStr) : undefined;
+      return render('memberListItem', {
+        name: member.memberName || member.memberId,
+        count,
+        absence: absence ? render('absenceNote', { type: absenceLabel(absence.type) }) : '',
+      });
+    });
+
+    return [
+      { type: 'divider' },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `${render('memberListTitle')}\n${lines.join('\n')}\n` }]
+      }
+    ];
+  };
+
+  // ★ 日直メッセージのボタンブロック (「了解しました」ボタン + 「担当を変更する」ボタン + 交代先を直接選ぶドロップダウン)
+  // roleId を渡すと (ロールが複数の場合) どのロールのボタンかを value と block_id に入れる
+  // value の locale は、ストレージを読まずに開く変更理由のモーダルの言語に使う
+  // lastChange (DutyState の直前の交代) を渡すと、戻せる時間内なら「元に戻す」ボタンも付ける
+  const createDutyActionsBlock = (currentMemberId, members, dateStr, roleId, lastChange) => {
+    const roleValue = roleId ? { role_id: roleId, locale } : { locale };
+    // 交代先の候補: 現在の担当者と当日不在のメンバーを除いて表示順に並べる
+    const selectableMembers = (members || [])
+      .filter(m => m.memberId !== currentMemberId && !isMemberAbsentOn(m, dateStr))
+      .sort(compareByDisplayOrder)
+      .slice(0, 100); // static_select の選択肢は最大100件
+
+    const elements = [
+      {
+        "type": "button",
+        "text": { "type": "plain_text", "text": render('acknowledgeButton'), "emoji": true },
+        "style": "primary",
+        "action_id": "acknowledge_duty_action", // 担当者本人だけが押せる (ReselectDutyHandler で確認)
+        "value": JSON.stringify({ current_member_id: currentMemberId, ...roleValue })
+      },
+      {
+        "type": "button",
+        "text": { "type": "plain_text", "text": render('reselectButton'), "emoji": true },
+        "style": "danger", // 目立たせるためにdanger（任意）
+        "action_id": "reselect_duty_action",
+        // valueに再選出時に必要となりそうな情報を含める
+        "value": JSON.stringify({ current_member_id: currentMemberId, ...roleValue })
+      }
+    ];
+    if (isUndoable(lastChange) && lastChange.memberId === currentMemberId) {
+      elements.push({
+        "type": "button",
+        "text": { "type": "plain_text", "text": render('undoButton'), "emoji": true },
+        "action_id": "undo_duty_action",
+        "value": JSON.stringify({ change_id: lastChange.changeId, ...roleValue })
+      });
+    }
+    // 選択肢が空の static_select は Slack に拒否されるので、候補がいる場合のみ追加
+    if (selectableMembers.length > 0) {
+      elements.push({
+        "type": "static_select",
+        "action_id": "select_duty_member_action",
+        "placeholder": { "type": "plain_text", "text": render('selectPlaceholder'), "emoji": true },
+        "options": selectableMembers.map(m => ({
+          "text": { "type": "plain_text", "text": (m.memberName || m.memberId).slice(0, 75), "emoji": true },
+          "value": JSON.stringify({ current_member_id: currentMemberId, new_member_id: m.memberId, ...roleValue })
+        }))
+      });
+    }
+
+    return {
+      "type": "actions",
+      "block_id": roleId ? `duty_actions#${roleId}` : "duty_actions", // block_idを付けておくと後で識別しやすい
+      "elements": elements
+    };
+  };
+
+  const contextBlocks = (contextText) => (contextText ? [{ "type": "context", "elements": [{ "type": "mrkdwn", "text": contextText }] }] : []);
+
+  // ★ 日直メッセージ本体 (ロールが1つの場合。投稿・交代・自動交代後の更新で共通)
+  // contextText を渡すと、ボタンの下に変更履歴などの注記を表示する
+  // rotationList を渡すと、交代先のドロップダウンを今日のローテーションに含まれるメンバーに絞る
+  // lastChange を渡すと、直前の交代を戻せる時間内なら「元に戻す」ボタンを付ける
+  const createDutyMessage = (member, dateStr, members, contextText, rotationList, lastChange) => {
+    const message = render('announcement', { date: dateStr, role: roleName, mention: toMention(member) });
+    const rotationMembers = rotationList ? members.filter(m => rotationList.includes(m.memberId)) : members;
+    return {
+      text: message, // 通知やフォールバック用テキスト
+      blocks: [
+        { "type": "section", "text": { "type": "mrkdwn", "text": message } },
+        // ★ 了解ボタン + 交代ボタン + 交代先ドロップダウン
+        createDutyActionsBlock(member.memberId, rotationMembers, dateStr, undefined, lastChange),
+        ...contextBlocks(contextText),
+        ...createMemberListBlocks(members, dateStr),
+      ]
+    };
+  };
+
+  // ★ ロールが複数ある場合の日直メッセージ (ロールごとに担当者の行とボタンを並べる)
+  // assignments: [{ roleGroup, state }] (ロールの順。state はそのロールの今日の DutyState、選出できなかったロールは null)
+  // 了解済みのロールは「了解しました」ボタンの代わりに了解済みの表示にする (state.lastChange があれば「元に戻す」ボタンも付ける)
+  const createRoleDutyMessage = (assignments, dateStr, members, contextText) => {
+    const membersById = new Map(members.map(m => [m.memberId, m]));
+    const mentionOf = (memberId) => toMention(membersById.get(memberId) || { memberId });
+    const assignedIds = new Set(assignments.map(({ state }) => state?.currentAssignedMemberId).filter(Boolean));
+
+    const roleBlocks = assignments.flatMap(({ roleGroup, state }) => {
+      const { roleId, name } = roleGroup.role;
+      const memberId = state?.currentAssignedMemberId;
+      if (!memberId) {
+        return [{ "type": "section", "text": { "type": "mrkdwn", "text": render('noCandidate', { role: name }) } }];
+      }
+      // 交代先の候補: 今日のローテーションに含まれ、ほかのロールを担当していないメンバー
+      const selectableMembers = members.filter(m =>
+        (!state.rotationList || state.rotationList.includes(m.memberId)) && (m.memberId === memberId || !assignedIds.has(m.memberId)));
+      const actionsBlock = createDutyActionsBlock(memberId, selectableMembers, dateStr, roleId, state.lastChange);
+      const lineBlock = { "type": "section", "text": { "type": "mrkdwn", "text": render('roleLine', { role: name, mention: mentionOf(memberId) }) } };
+      if (!state.acknowledgedAt) {
+        return [lineBlock, actionsBlock];
+      }
+      return [
+        lineBlock,
+        { ...actionsBlock, elements: actionsBlock.elements.filter(element => element.action_id !== 'acknowledge_duty_action') },
+        { "type": "context", "block_id": `duty_ack#${roleId}`, "elements": [{ "type": "mrkdwn", "text": acknowledgedText(state.acknowledgedBy || memberId, state.acknowledgedAt) }] },
+      ];
+    });
+
+    const summary = assignments.map(({ roleGroup, state }) => render('roleSummaryItem', {
+      role: roleGroup.role.name,
+      mention: state?.currentAssignedMemberId ? mentionOf(state.currentAssignedMemberId) : render('noAssignee'),
+    })).join(' / ');
+    return {
+      text: render('roleAnnouncementFallback', { date: dateStr, summary }), // 通知やフォールバック用テキスト
+      blocks: [
+        { "type": "section", "text": { "type": "mrkdwn", "text": render('roleAnnouncement', { date: dateStr }) } },
+        ...roleBlocks,
+        ...contextBlocks(contextText),
+        ...createMemberListBlocks(members, dateStr, assignments.map(({ roleGroup }) => roleGroup)),
+      ]
+    };
+  };
+
+  return {
+    locale,
+    roleName,
+    render,
+    changeReasons: templates.changeReasons,
+    absenceLabel,
+    reservationLabel,
+    formatDate,
+    formatDayOffReason,
+    errorText,
+    formatChangeReason,
+    changeNotice,
+    undoNotice,
+    acknowledgedText,
+    reservationNote,
+    createMemberListBlocks,
+    createDutyActionsBlock,
+    createDutyMessage,
+    createRoleDutyMessage,
+  };
+};
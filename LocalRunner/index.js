@@ -0,0 +1,270 @@
+import { createHmac } from 'crypto';
+import { existsSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import querystring from 'querystring';
+import { startSlackStub } from './slackStub.js';
+
+// --- ローカル実行 ---
+// DailyDutyNotifier と ReselectDutyHandler の handler をこのプロセスで直接呼び出す
+// Slack API はスタブ (slackStub.js)、保存先は file バックエンドを使うので、AWS もSlack のワークスペースも不要
+// ReselectDutyHandler へのリクエストは本物と同じ形式で署名するので、verifySlackRequest もそのまま通る
+
+const logger = console;
+const DEFAULT_SIGNING_SECRET = 'local-signing-secret';
+const DEFAULT_CHANNEL_ID = 'CLOCALDUTY';
+const ACTION_IDS = {
+  acknowledge: 'acknowledge_duty_action',
+  reselect: 'reselect_duty_action',
+  select: 'select_duty_member_action',
+  undo: 'undo_duty_action',
+  retry: 'retry_duty_action', // エラーを伝える本人だけのメッセージの「もう一度試す」
+  swap_accept: 'swap_accept_action',
+  swap_decline: 'swap_decline_action',
+};
+
+// ★ Slack と同じ方法で署名したヘッダー (v0:{timestamp}:{body} の HMAC-SHA256)
+export const signSlackRequest = (body, signingSecret, timestamp = Math.floor(Date.now() / 1000)) => ({
+  'x-slack-request-timestamp': String(timestamp),
+  'x-slack-signature': `v0=${createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`).digest('hex')}`,
+});
+
+// API Gateway (HTTP API, ペイロード v2.0) のイベント
+const toApiGatewayEvent = (body, contentType, signingSecret) => ({
+  version: '2.0',
+  rawPath: '/slack/interactions',
+  requestContext: { http: { method: 'POST', path: '/slack/interactions' } },
+  headers: { 'content-type': contentType, ...signSlackRequest(body, signingSecret) },
+  body,
+  isBase64Encoded: false,
+});
+
+// ★ メッセージのボタン・ドロップダウンを押したときの block_actions ペイロード
+// roleId を指定するとそのロールのボタン、select では memberId を交代先の選択肢として選ぶ
+export const createBlockActionsPayload = ({ message, actionId, userId, memberId, roleId, responseUrl }) => {
+  const block = (message.blocks || []).find(b => b.type === 'actions'
+    && (!roleId || b.block_id === `duty_actions#${roleId}`)
+    && b.elements.some(element => element.action_id === actionId));
+  if (!block) {
+    throw new Error(`No ${actionId} in message ${message.ts}${roleId ? ` for role ${roleId}` : ''}`);
+  }
+  const element = block.elements.find(e => e.action_id === actionId);
+  const action = { type: element.type, action_id: actionId, block_id: block.block_id, action_ts: String(Date.now() / 1000) };
+  if (element.type === 'static_select') {
+    const option = element.options.find(o => JSON.parse(o.value).new_member_id === memberId);
+    if (!option) throw new Error(`${memberId} is not a selectable member in message ${message.ts}`);
+    action.selected_option = option;
+  } else {
+    action.value = element.value;
+  }
+  return {
+    type: 'block_actions',
+    user: { id: userId },
+    trigger_id: `local.${Date.now()}`,
+    container: { type: 'message', channel_id: message.channel, message_ts: message.ts, is_ephemeral: !!message.user },
+    channel: { id: message.channel },
+    message: { ts: message.ts, text: message.text, blocks: message.blocks },
+    response_url: responseUrl,
+    actions: [action],
+  };
+};
+
+// ★ 開いたモーダルを送信したときの view_submission ペイロード (values は { block_id: { action_id: value } })
+export const createViewSubmissionPayload = ({ view, userId, values = {} }) => ({
+  type: 'view_submission',
+  user: { id: userId },
+  view: {
+    id: view.id,
+    callback_id: view.callback_id,
+    private_metadata: view.private_metadata,
+    state: { values },
+  },
+});
+
+// --- ランナー ---
+// 各 handler はモジュールの読み込み時に環境変数を読むので、1プロセスにつき1つだけ作る
+export const createLocalRunner = async ({ env = {}, storageFile, slackFile, slack = {} } = {}) => {
+  const stub = await startSlackStub({ dataFile: slackFile, ...slack });
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'file',
+    SLACK_BOT_TOKEN: 'xoxb-local',
+    SLACK_SIGNING_SECRET: DEFAULT_SIGNING_SECRET,
+    SLACK_CHANNEL_ID: DEFAULT_CHANNEL_ID,
+    ...(storageFile ? { STORAGE_FILE: storageFile } : {}),
+    ...env,
+    SLACK_API_URL: stub.apiUrl,
+  });
+  if (process.env.STORAGE_BACKEND !== 'dynamodb' && !process.env.STORAGE_FILE) {
+    throw new Error('A storage file is required (--storage or STORAGE_FILE).');
+  }
+  const { handler: dailyHandler } = await import('../DailyDutyNotifier/index.js');
+  const { handler: reselectHandler } = await import('../ReselectDutyHandler/index.js');
+  const signingSecret = process.env.SLACK_SIGNING_SECRET;
+
+  // 1ステップ分の Slack API 呼び出しをまとめて返す
+  const record = async (run) => {
+    const firstCall = stub.data.calls.length;
+    const response = await run();
+    return { response, calls: stub.data.calls.slice(firstCall) };
+  };
+  // Lambda コンテキストなしで呼ぶので、ReselectDutyHandler の非同期処理はその場で実行される
+  const sendInteraction = (payload) => reselectHandler(
+    toApiGatewayEvent(querystring.stringify({ payload: JSON.stringify(payload) }), 'application/x-www-form-urlencoded', signingSecret), {});
+
+  return {
+    stub,
+
+    // ★ 定時実行 (EventBridge) の代わり。now を指定するとその時刻として実行する
+    daily: ({ now, mode, groupId, month } = {}) => record(() => dailyHandler(
+      Object.fromEntries(Object.entries({ now, mode, groupId, month }).filter(([, value]) => value !== undefined)), {})),
+
+    // ★ 最新の日直メッセージのボタンを押す (reselect / select で理由のモーダルが開いた場合は reason を選んで送信する)
+    action: ({ action, userId, memberId, roleId, channelId, reason = 'other', comment } = {}) => record(async () => {
+      const actionId = ACTION_IDS[action];
+      if (!actionId) throw new Error(`Unknown action: ${action} (expected ${Object.keys(ACTION_IDS).join(', ')})`);
+      const message = stub.findMessageWithAction(actionId, channelId, action === 'retry' ? userId : undefined);
+      if (!message) throw new Error(`No message with ${actionId} has been posted yet.`);
+
+      const viewCount = stub.data.views.length;
+      const response = await sendInteraction(createBlockActionsPayload({ message, actionId, userId, memberId, roleId, responseUrl: stub.responseUrl() }));
+      const view = stub.data.views.slice(viewCount).find(v => v.type === 'modal');
+      if (!view) return response;
+      return sendInteraction(createViewSubmissionPayload({
+        view,
+        userId,
+        values: {
+          reason_category: { reason_category_select: { type: 'static_select', selected_option: { value: reason } } },
+          reason_comment: { reason_comment_input: { type: 'plain_text_input', value: comment || null } },
+        },
+      }));
+    }),
+
+    // ★ スラッシュコマンド (例: "/duty list")。結果は response_url としてスタブに記録される
+    command: ({ text, userId, channelId = process.env.SLACK_CHANNEL_ID } = {}) => record(() => {
+      const [command, ...args] = text.trim().split(/\s+/);
+      const body = querystring.stringify({
+        command, text: args.join(' '), user_id: userId, channel_id: channelId, response_url: stub.responseUrl(),
+      });
+      return reselectHandler(toApiGatewayEvent(body, 'application/x-www-form-urlencoded', signingSecret), {});
+    }),
+
+    // ★ 任意のインタラクションのペイロードを署名して送る (Slack から届いたペイロードの再現用)
+    payload: ({ payload } = {}) => record(() => sendInteraction(payload)),
+
+    close: () => stub.close(),
+  };
+};
+
+// --- コマンドライン ---
+const USAGE = `Usage: node index.js <command> [options]
+
+Commands:
+  daily [--now <ISO 8601>] [--mode monthly_report|weekly_preview|ack_check] [--group <groupId>] [--month yyyy-MM]
+  action <acknowledge|reselect|select|undo|retry|swap_accept|swap_decline> --user <userId> [--member <userId>] [--role <roleId>] [--reason <category>] [--comment <text>]
+  command "<text>" --user <userId>           e.g. command "/duty list" --user U0123
+  payload <file.json>                         send a saved interaction payload
+  scenario <file.json>                        run { env, slack, storage, steps: [...] } in one process
+
+Options:
+  --storage <file>     storage JSON (default: STORAGE_FILE or ./local-storage.json)
+  --slack-file <file>  keep posted messages between runs (default: ./local-slack.json)
+  --verbose            print the full arguments of every Slack API call`;
+
+const parseCommandLine = (argv) => {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--verbose') {
+      options.verbose = true;
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+};
+
+const printStep = (label, { response, calls }, verbose) => {
+  logger.log(`\n▶ ${label} -> ${response?.statusCode ?? '-'} ${response?.body ? String(response.body).slice(0, 200) : ''}`);
+  for (const { method, args, error } of calls) {
+    const target = args.channel || args.user_id || args.user || args.usergroup || '';
+    logger.log(`  ${method} ${target}${error ? ` (error: ${error})` : ''}${args.text ? `: ${args.text}` : ''}`);
+    if (verbose) logger.log(JSON.stringify(args, null, 2).replace(/^/gm, '    '));
+  }
+};
+
+// ★ ステップの結果の確認 (expect: { contains: [...], notContains: [...] })
+// handler の応答と、Slack API 呼び出し・response_url に送ったテキストを調べ、満たしていない条件を返す
+const checkExpectations = ({ response, calls }, expect = {}) => {
+  const output = [response?.body, ...calls.map(({ args }) => args.text)].filter(Boolean).join('\n');
+  return [
+    ...(expect.contains || []).filter(text => !output.includes(text)).map(text => `expected "${text}"`),
+    ...(expect.notContains || []).filter(text => output.includes(text)).map(text => `did not expect "${text}"`),
+  ];
+};
+
+// シナリオの1ステップ。{ "daily": { "now": "..." } } / { "action": "reselect", "userId": "U1" } / { "command": "/duty list", "userId": "U1" } / { "payload": {...} }
+const runStep = (runner, step) => {
+  if (step.daily) return runner.daily(step.daily === true ? {} : step.daily);
+  if (step.action) return runner.action(step);
+  if (step.command) return runner.command({ ...step, text: step.command });
+  if (step.payload) return runner.payload(step);
+  throw new Error(`Unknown step: ${JSON.stringify(step)}`);
+};
+
+const main = async () => {
+  const { positional: [commandName, ...args], options } = parseCommandLine(process.argv.slice(2));
+  if (!commandName) {
+    logger.log(USAGE);
+    return 1;
+  }
+  const scenario = commandName === 'scenario' ? JSON.parse(readFileSync(args[0], 'utf8')) : {};
+  // シナリオに storage (members / states / history) があれば、一時ファイルにコピーして初期データにする (毎回同じ状態から始まる)
+  // ★ 2つの handler は別々にストレージを作るので、memory バックエンドでは状態を共有できない。ファイルで受け渡す
+  const seedFile = scenario.storage ? join(tmpdir(), `duty-scenario-${process.pid}.json`) : undefined;
+  if (seedFile) writeFileSync(seedFile, JSON.stringify(scenario.storage));
+  const runner = await createLocalRunner({
+    env: scenario.env,
+    slack: scenario.slack,
+    storageFile: seedFile || resolve(options.storage || process.env.STORAGE_FILE || 'local-storage.json'),
+    // シナリオは1プロセスで完結するので、指定がなければメッセージを保存しない
+    slackFile: options['slack-file'] ? resolve(options['slack-file']) : (commandName === 'scenario' ? undefined : resolve('local-slack.json')),
+  });
+
+  let failed = false;
+  try {
+    const steps = {
+      daily: () => [{ daily: { now: options.now, mode: options.mode, groupId: options.group, month: options.month } }],
+      action: () => [{ action: args[0], userId: options.user, memberId: options.member, roleId: options.role, reason: options.reason, comment: options.comment }],
+      command: () => [{ command: args[0], userId: options.user }],
+      payload: () => [{ payload: JSON.parse(readFileSync(args[0], 'utf8')) }],
+      scenario: () => scenario.steps || [],
+    }[commandName];
+    if (!steps) {
+      logger.log(USAGE);
+      return 1;
+    }
+    for (const step of steps()) {
+      const label = step.daily ? `daily ${JSON.stringify(step.daily)}` : step.action ? `action ${step.action} by ${step.userId}` : step.command ? `command ${step.command}` : 'payload';
+      const result = await runStep(runner, step);
+      printStep(label, result, options.verbose);
+      const unmet = checkExpectations(result, step.expect);
+      unmet.forEach(message => logger.log(`  ✗ ${message}`));
+      failed = failed || unmet.length > 0 || (result.response?.statusCode ?? 200) >= 400;
+    }
+  } catch (error) {
+    logger.error(`Local run failed: ${error.message}`);
+    failed = true;
+  } finally {
+    await runner.close();
+    if (seedFile) rmSync(seedFile, { force: true });
+  }
+  return failed ? 1 : 0;
+};
+
+// node index.js で実行されたときだけコマンドラインとして動く (import した場合はランナーとして使う)
+if (process.argv[1] && existsSync(process.argv[1]) && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  process.exitCode = await main();
+}
@@ -0,0 +1,128 @@
+import { createServer } from 'http';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+
+// --- Slack API のスタブ ---
+// WebClient の slackApiUrl (SLACK_API_URL) をこのサーバーに向けると、投稿・更新したメッセージやモーダルを記録して ok を返す
+// dataFile を指定すると記録を JSON に保存し、次の実行でも前回投稿したメッセージのボタンを押せるようにする
+
+const logger = console;
+
+// WebClient は x-www-form-urlencoded (blocks などは JSON 文字列) か JSON で送ってくる
+const parseArgs = (body, contentType) => {
+  if (!body) return {};
+  if (contentType.includes('application/json')) return JSON.parse(body);
+  const args = {};
+  for (const [key, value] of new URLSearchParams(body)) {
+    if (key === 'token') continue;
+    try {
+      args[key] = /^[[{]/.test(value) ? JSON.parse(value) : value;
+    } catch {
+      args[key] = value;
+    }
+  }
+  return args;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+// ★ スタブを起動する
+// users: { U0123: { name: 'Alice' } } (users.info の応答), usergroups: { S0123: ['U0123'] }, channels: { C0123: ['U0123'] } (メンバー同期用)
+export const startSlackStub = async ({ port = 0, dataFile, users = {}, usergroups = {}, channels = {} } = {}) => {
+  const data = {
+    messages: [], ephemerals: [], views: [], responses: [], calls: [],
+    ...(dataFile && existsSync(dataFile) ? JSON.parse(readFileSync(dataFile, 'utf8')) : {}),
+  };
+  let sequence = data.calls.length;
+  const save = () => {
+    if (dataFile) writeFileSync(dataFile, JSON.stringify(data, null, 2));
+  };
+  // メッセージの ts は実行をまたいでも重ならないよう、時刻と通し番号から作る
+  const nextTs = () => `${Math.floor(Date.now() / 1000)}.${String(++sequence).padStart(6, '0')}`;
+  const findMessage = (channel, ts) => data.messages.find(m => m.channel === channel && m.ts === ts);
+
+  const methods = {
+    'chat.postMessage': (args) => {
+      const message = { channel: args.channel, ts: nextTs(), text: args.text, blocks: args.blocks || [], thread_ts: args.thread_ts };
+      data.messages.push(message);
+      return { channel: message.channel, ts: message.ts, message };
+    },
+    'chat.update': (args) => {
+      const message = findMessage(args.channel, args.ts);
+      if (!message) return { ok: false, error: 'message_not_found' };
+      Object.assign(message, { text: args.text ?? message.text, blocks: args.blocks ?? message.blocks });
+      return { channel: message.channel, ts: message.ts, text: message.text };
+    },
+    'chat.postEphemeral': (args) => {
+      const message = { channel: args.channel, user: args.user, ts: nextTs(), text: args.text, blocks: args.blocks || [] };
+      data.ephemerals.push(message);
+      return { message_ts: message.ts };
+    },
+    'chat.getPermalink': (args) => ({ permalink: `https://slack.local/archives/${args.channel}/p${String(args.message_ts).replace('.', '')}` }),
+    'views.open': (args) => {
+      const view = { id: `V${++sequence}`, ...args.view, trigger_id: args.trigger_id };
+      data.views.push(view);
+      return { view };
+    },
+    'views.publish': (args) => {
+      const view = { id: `V${++sequence}`, ...args.view, user_id: args.user_id };
+      data.views.push(view);
+      return { view };
+    },
+    'users.info': (args) => {
+      const user = users[args.user];
+      if (!user) return { ok: false, error: 'user_not_found' };
+      return {
+        user: {
+          id: args.user, name: user.name, real_name: user.name, is_bot: !!user.isBot, deleted: !!user.deleted,
+          profile: { display_name: user.name, real_name: user.name },
+        },
+      };
+    },
+    'usergroups.users.list': (args) => (usergroups[args.usergroup] ? { users: usergroups[args.usergroup] } : { ok: false, error: 'no_such_subteam' }),
+    'conversations.members': (args) => (channels[args.channel] ? { members: channels[args.channel], response_metadata: { next_cursor: '' } } : { ok: false, error: 'channel_not_found' }),
+  };
+
+  const server = createServer(async (req, res) => {
+    try {
+      const body = await readBody(req);
+      const contentType = req.headers['content-type'] || '';
+      const [, kind, name] = req.url.split('?')[0].split('/');
+
+      // response_url (スラッシュコマンドの結果など) への送信
+      if (kind === 'response') {
+        data.responses.push({ responseId: name, ...parseArgs(body, contentType) });
+        data.calls.push({ method: 'response_url', args: data.responses[data.responses.length - 1] });
+        save();
+        res.writeHead(200, { 'Content-Type': 'text/plain' }).end('ok');
+        return;
+      }
+
+      const args = parseArgs(body, contentType);
+      const result = { ok: true, ...(methods[name] ? methods[name](args) : {}) };
+      data.calls.push({ method: name, args, ...(result.ok ? {} : { error: result.error }) });
+      save();
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(result));
+    } catch (error) {
+      logger.error(`Slack stub failed to handle ${req.url}: ${error.message}`);
+      res.writeHead(500, { 'Content-Type': 'application/json' }).end(JSON.stringify({ ok: false, error: 'internal_error' }));
+    }
+  });
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    data,
+    apiUrl: `${baseUrl}/api/`, // SLACK_API_URL に設定する
+    responseUrl: () => `${baseUrl}/response/${++sequence}`,
+    // 指定の action_id のボタン (またはドロップダウン) がある最新のメッセージ (user を渡すとその人だけに送られたメッセージ)
+    findMessageWithAction: (actionId, channel, user) => [...(user ? data.ephemerals.filter(m => m.user === user) : data.messages)].reverse()
+      .find(message => (!channel || message.channel === channel)
+        && (message.blocks || []).some(block => block.type === 'actions' && block.elements.some(element => element.action_id === actionId))),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
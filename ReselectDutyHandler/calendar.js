@@ -0,0 +1,90 @@
+import holiday_jp from '@holiday-jp/holiday_jp';
+
+// --- 稼働日カレンダー ---
+// ※ DailyDutyNotifier/calendar.js と ReselectDutyHandler/calendar.js は同じ内容 (Lambda ごとに zip するため両方に置いている)
+// ある日 (yyyy-MM-dd, グループのタイムゾーンでの日付) が日直を選ぶ日かどうかを判定する。
+// 判定の優先順:
+//   1. extraWorkingDates に含まれる日は必ず稼働日 (休日出勤の土曜日など)
+//   2. closedDates に含まれる日は休み (年末年始休暇・創立記念日など会社独自の休業日)
+//   3. workWeek (ISO 曜日: 1=月曜 ... 7=日曜) に含まれない曜日は休み
+//   4. holidayCalendars で指定した祝日プロバイダーのいずれかが休日と判定すれば休み
+
+export const DEFAULT_WORK_WEEK = [1, 2, 3, 4, 5];
+export const DEFAULT_HOLIDAY_CALENDARS = ['japan'];
+
+// ★ 祝日プロバイダー: 日付文字列を受け取り、休日ならその名前 (名前がなければ true)、稼働日なら null を返す関数
+const holidayProviders = new Map();
+
+export const registerHolidayProvider = (name, provider) => {
+  holidayProviders.set(name, provider);
+};
+
+export const isBuiltInHolidayProvider = (name) => holidayProviders.has(name);
+
+// 日本の祝日 (@holiday-jp/holiday_jp の祝日データを日付文字列で引くので、実行環境の TZ に影響されない)
+registerHolidayProvider('japan', (dateStr) => holiday_jp.holidays[dateStr]?.name || null);
+
+// ★ 日付リストから祝日プロバイダーを作成
+// 要素は 'yyyy-MM-dd' か { date: 'yyyy-MM-dd', name: '創立記念日' } のどちらでもよい
+// 名前のない日は defaultName、それもなければ true (表示は templates.js の dayOffClosed)
+export const createDateListProvider = (dates, defaultName) => {
+  const namesByDate = new Map(
+    Array.from(dates || [])
+      .map(entry => (typeof entry === 'string' ? [entry, defaultName || true] : [entry?.date, entry?.name || defaultName || true]))
+      .filter(([date]) => date)
+  );
+  return (dateStr) => namesByDate.get(dateStr) || null;
+};
+
+// ISO 曜日 (1=月曜 ... 7=日曜)。日付文字列から計算するのでタイムゾーンには依存しない
+export const isoDayOfWeek = (dateStr) => {
+  const day = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return day === 0 ? 7 : day;
+};
+
+// 休みの理由のログ用の表記 (例: 元日, weekday 6, closed)
+export const describeDayOffReason = (reason) => reason.name || (reason.code === 'weekday' ? `weekday ${reason.dayOfWeek}` : reason.code);
+
+// ★ 稼働日カレンダーを作成
+// customProviders: holidayCalendars の名前で参照できる追加のプロバイダー ({ 名前: プロバイダー })
+export const createWorkingDayCalendar = ({
+  workWeek = DEFAULT_WORK_WEEK,
+  holidayCalendars = DEFAULT_HOLIDAY_CALENDARS,
+  closedDates = [],
+  extraWorkingDates = [],
+} = {}, customProviders = {}) => {
+  const workingDaysOfWeek = new Set(Array.from(workWeek, Number));
+  const extraWorkingDateSet = new Set(Array.from(extraWorkingDates));
+  const closedDateProvider = createDateListProvider(closedDates);
+  const providers = Array.from(holidayCalendars).map(name => {
+    const provider = customProviders[name] || holidayProviders.get(name);
+    if (!provider) {
+      throw new Error(`Unknown holiday calendar: ${name}`);
+    }
+    return provider;
+  });
+
+  // 休みならその理由、稼働日なら null を返す
+  // 理由: { code: 'closed' | 'weekday' | 'holiday', name (休業日・祝日の名前。なければ null), dayOfWeek (weekday のみ) }
+  // 表示する文言は templates.js の formatDayOffReason で作る (グループの言語に合わせる)
+  const getDayOffReason = (dateStr) => {
+    if (extraWorkingDateSet.has(dateStr)) return null;
+
+    const closedName = closedDateProvider(dateStr);
+    if (closedName) return { code: 'closed', name: typeof closedName === 'string' ? closedName : null };
+
+    const dayOfWeek = isoDayOfWeek(dateStr);
+    if (!workingDaysOfWeek.has(dayOfWeek)) return { code: 'weekday', name: null, dayOfWeek };
+
+    for (const provider of providers) {
+      const holidayName = provider(dateStr);
+      if (holidayName) return { code: 'holiday', name: typeof holidayName === 'string' ? holidayName : null };
+    }
+    return null;
+  };
+
+  return {
+    getDayOffReason,
+    isWorkingDay: (dateStr) => getDayOffReason(dateStr) === null,
+  };
+};
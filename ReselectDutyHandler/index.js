@@ -1,58 +1,194 @@
-import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, ScanCommand, GetCommand, UpdateCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
+import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
 import { WebClient } from '@slack/web-api';
 import { createHmac } from 'crypto';
 import querystring from 'querystring'; // ★ ペイロード解析用
 import crypto from 'crypto';
+import { createStorage } from './storage.js';
+import { createMessageTemplates, isMemberAbsentOn, isUndoable, toMention, DEFAULT_LOCALE } from './templates.js';
+import {
+  createWorkingDayCalendar, createDateListProvider, isBuiltInHolidayProvider,
+  DEFAULT_WORK_WEEK, DEFAULT_HOLIDAY_CALENDARS,
+} from './calendar.js';
 
 // --- 設定 ---
 const logger = console;
 const region = process.env.AWS_REGION || 'ap-northeast-1';
-const membersTableName = process.env.MEMBERS_TABLE_NAME;
 const stateTableName = process.env.STATE_TABLE_NAME;
-const stateId = process.env.STATE_ID;
 const slackToken = process.env.SLACK_BOT_TOKEN;
+const slackApiUrl = process.env.SLACK_API_URL; // 任意: Slack API の URL (ローカル実行でスタブに向ける。例: http://localhost:3000/api/)
 const slackSigningSecret = process.env.SLACK_SIGNING_SECRET; // ★ Slack署名シークレット
+const historyTableName = process.env.HISTORY_TABLE_NAME; // 任意: 担当履歴テーブル (未設定なら履歴は記録しない)
+const groupsTableName = process.env.GROUPS_TABLE_NAME;   // 任意: ローテーショングループのテーブル (DailyDutyNotifier と同じもの)
+const calendarsTableName = process.env.CALENDARS_TABLE_NAME; // 任意: 休日カレンダーのテーブル (DailyDutyNotifier と同じもの)
+const reservationsTableName = process.env.RESERVATIONS_TABLE_NAME; // 任意: 担当予約のテーブル (未設定なら日直の交換は使えない)
+// ★ 保存先 (DailyDutyNotifier と同じ設定にする): dynamodb (既定) / file / memory
+const storageBackend = process.env.STORAGE_BACKEND || 'dynamodb';
+const storageFile = process.env.STORAGE_FILE;
+const useDynamo = storageBackend === 'dynamodb';
+// ★ グループ未使用時の設定 / グループ項目で省略された場合のデフォルト値
+const defaultChannelId = process.env.SLACK_CHANNEL_ID;
+const defaultMembersTableName = process.env.MEMBERS_TABLE_NAME;
+const defaultStateId = process.env.STATE_ID || (useDynamo ? undefined : 'default');
+const defaultTimeZone = process.env.TZ || 'Asia/Tokyo';
+// 稼働日カレンダーの設定 (DailyDutyNotifier と同じ環境変数。交換する日が稼働日かの確認に使う)
+const parseListEnv = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined);
+const defaultWorkWeek = parseListEnv(process.env.WORK_WEEK)?.map(Number) || DEFAULT_WORK_WEEK;
+const defaultHolidayCalendars = parseListEnv(process.env.HOLIDAY_CALENDARS) || DEFAULT_HOLIDAY_CALENDARS;
+const defaultClosedDates = parseListEnv(process.env.CLOSED_DATES) || [];
+const defaultExtraWorkingDates = parseListEnv(process.env.EXTRA_WORKING_DATES) || [];
+// 当番の種類 (ロール)。DailyDutyNotifier と同じ "morning:朝当番,closing:締め当番" の形式
+const parseRolesEnv = (value) => parseListEnv(value)?.map(entry => {
+  const [roleId, name] = entry.split(':').map(v => v.trim());
+  return { roleId, name: name || roleId };
+});
+const defaultRoles = parseRolesEnv(process.env.DUTY_ROLES); // 省略時はロール名をテンプレートの defaultRoleName (日直) にする
+// メンバー管理 (/duty join, reorder) の設定
+const defaultAdminUserIds = parseListEnv(process.env.ADMIN_USER_IDS) || [];                     // /duty reorder を使えるユーザー
+const defaultJoinCountPolicy = process.env.JOIN_COUNT_POLICY === 'min' ? 'min' : 'average';     // 参加時の初期カウント: average / min
+const defaultSyncUsergroupId = process.env.SYNC_USERGROUP_ID; // メンバーを同期するユーザーグループ (DailyDutyNotifier と同じ)
+const defaultSyncChannelId = process.env.SYNC_CHANNEL_ID;     // メンバーを同期するチャンネル
+const defaultUndoGraceMinutes = process.env.UNDO_GRACE_MINUTES ? Number(process.env.UNDO_GRACE_MINUTES) || 0 : 5; // 交代後に「元に戻す」を押せる時間 (分)。0 で無効
+// メッセージの言語と文言 (DailyDutyNotifier と同じ。templates.js を参照)
+const parseJsonEnv = (name) => {
+  if (!process.env[name]) return undefined;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    logger.error(`Ignoring ${name}: ${error.message}`);
+    return undefined;
+  }
+};
+const defaultLocale = process.env.LOCALE || DEFAULT_LOCALE;
+const defaultMessageTemplates = parseJsonEnv('MESSAGE_TEMPLATES') || {};
+// グループが分からないエラーなどで使う文言
+const defaultMessages = createMessageTemplates({ locale: defaultLocale, messageTemplates: defaultMessageTemplates });
+// ボタンの value などで言語だけ分かっている場合の文言 (グループの messageTemplates は使えない)
+const getMessagesForLocale = (locale) =>
+  (locale && locale !== defaultMessages.locale ? createMessageTemplates({ locale, messageTemplates: defaultMessageTemplates }) : defaultMessages);
 
-// 環境変数チェック
-if (!membersTableName || !stateTableName || !stateId || !slackToken || !slackSigningSecret) {
+// 環境変数チェック (DynamoDB でグループテーブルを使わない場合はメンバー・State の指定が必須)
+if (!slackToken || !slackSigningSecret || (useDynamo && (!stateTableName || (!groupsTableName && (!defaultMembersTableName || !defaultStateId))))) {
   logger.error('Error: Required environment variables are missing!');
   throw new Error('Missing required environment variables.');
 }
 
-// AWS SDK, Slack クライアント初期化 (notifyDutyHandlerと同様)
-const dynamoClient = new DynamoDBClient({ region });
-const docClient = DynamoDBDocumentClient.from(dynamoClient);
-const slackClient = new WebClient(slackToken);
+// ストレージ, Slack クライアント初期化 (notifyDutyHandlerと同様)
+const storage = createStorage({
+  backend: storageBackend, filePath: storageFile,
+  region, stateTableName, historyTableName, groupsTableName, calendarsTableName, reservationsTableName,
+});
+const slackClient = new WebClient(slackToken, slackApiUrl ? { slackApiUrl } : {});
+const lambdaClient = new LambdaClient({ region }); // ★ 自分自身の非同期呼び出し用
 
-// DutyStateテーブルから現在の状態を取得
-const getDutyState = async () => {
-  const command = new GetCommand({
-    TableName: stateTableName,
-    Key: { stateId: stateId },
-  });
-  try {
-    const { Item } = await docClient.send(command);
-    logger.info(`Duty state retrieved: ${JSON.stringify(Item)}`);
-    return Item || { lastAssignedMemberId: null, lastAssignmentDate: null }; // データなければデフォルト
-  } catch (error) {
-    logger.error(`Error getting duty state from ${stateTableName}: ${error}`);
-    throw error;
+// --- ローテーショングループ (DailyDutyNotifier と同じ形式) ---
+const normalizeGroup = (item) => ({
+  ...item,
+  name: item.name || item.groupId,
+  stateId: item.stateId || item.groupId,
+  membersTableName: item.membersTableName || defaultMembersTableName,
+  timeZone: item.timeZone || defaultTimeZone,
+  workWeek: item.workWeek ? Array.from(item.workWeek, Number) : defaultWorkWeek,
+  holidayCalendars: item.holidayCalendars ? Array.from(item.holidayCalendars) : defaultHolidayCalendars,
+  closedDates: item.closedDates ? Array.from(item.closedDates) : defaultClosedDates,
+  extraWorkingDates: item.extraWorkingDates ? Array.from(item.extraWorkingDates) : defaultExtraWorkingDates,
+  locale: item.locale || defaultLocale,
+  messageTemplates: { ...defaultMessageTemplates, ...item.messageTemplates },
+  roles: Array.isArray(item.roles) && item.roles.length > 0
+    ? item.roles.map(role => ({ roleId: role.roleId, name: role.name || role.roleId }))
+    : defaultRoles || [{
+      roleId: 'duty',
+      name: createMessageTemplates({ locale: item.locale || defaultLocale, messageTemplates: { ...defaultMessageTemplates, ...item.messageTemplates } }).roleName,
+    }],
+  adminUserIds: item.adminUserIds ? Array.from(item.adminUserIds) : defaultAdminUserIds,
+  joinCountPolicy: item.joinCountPolicy === 'min' || item.joinCountPolicy === 'average' ? item.joinCountPolicy : defaultJoinCountPolicy,
+  syncUsergroupId: item.syncUsergroupId || (item.syncChannelId ? undefined : defaultSyncUsergroupId),
+  syncChannelId: item.syncChannelId || (item.syncUsergroupId ? undefined : defaultSyncChannelId),
+  undoGraceMinutes: item.undoGraceMinutes !== undefined ? Number(item.undoGraceMinutes) || 0 : defaultUndoGraceMinutes,
+});
+
+// ★ ロールごとのグループ (DailyDutyNotifier と同じ。最初のロールは従来どおりの stateId / dutyCount)
+const toBaseGroup = (group) => group.baseGroup || group;
+const getRoleGroups = (group) => {
+  const baseGroup = toBaseGroup(group);
+  return baseGroup.roles.map((role, index) => (index === 0
+    ? { ...baseGroup, baseGroup, role, countAttribute: 'dutyCount' }
+    : { ...baseGroup, baseGroup, role, stateId: `${baseGroup.stateId}#${role.roleId}`, countAttribute: `dutyCount_${role.roleId}` }));
+};
+
+const hasMultipleRoles = (group) => group.roles.length > 1;
+
+// ボタンの value の role_id からロールのグループを決める (role_id がない古いボタン・1ロールなら最初のロール)
+const findRoleGroup = (group, roleId) => {
+  const roleGroups = getRoleGroups(group);
+  return roleGroups.find(roleGroup => roleGroup.role.roleId === roleId) || roleGroups[0];
+};
+
+const getRotationGroups = async () => {
+  const items = await storage.listGroups();
+  if (!items) {
+    return [normalizeGroup({ groupId: defaultStateId, channelId: defaultChannelId, stateId: defaultStateId })];
   }
+  return items
+    .filter(item => item.enabled !== false)
+    .map(normalizeGroup)
+    .filter(group => group.groupId && group.channelId && (!useDynamo || group.membersTableName));
 };
 
-// DutyMembersテーブルから全メンバーを取得
-const getAllMembers = async () => {
-  const command = new ScanCommand({ TableName: membersTableName });
-  try {
-    const { Items } = await docClient.send(command);
-    logger.info(`Scanned ${Items?.length || 0} members from ${membersTableName}`);
-    // dutyCount が数値でない場合や存在しない場合に備えてデフォルト値0を設定
-    return Items?.map(item => ({ ...item, dutyCount: Number(item.dutyCount) || 0 })) || [];
-  } catch (error) {
-    logger.error(`Error scanning members from ${membersTableName}: ${error}`);
-    throw error;
+// ★ インタラクションの channel_id から対象グループを決定
+// 一致するグループがなくても、グループが1つだけならそれを使う (単一グループ構成で別チャンネルから /duty を使う場合)
+const resolveGroupByChannel = async (channelId) => {
+  const groups = await getRotationGroups();
+  const group = groups.find(g => g.channelId === channelId) || (groups.length === 1 ? groups[0] : null);
+  if (group) {
+    logger.info(`Resolved rotation group ${group.groupId} for channel ${channelId}`);
+  } else {
+    logger.warn(`No rotation group found for channel ${channelId}`);
   }
+  return group;
+};
+
+// DM など、チャンネルからグループが分からない操作ではボタンの value に入れた groupId で探す
+const findGroupById = async (groupId) => {
+  const groups = await getRotationGroups();
+  return groups.find(g => g.groupId === groupId) || null;
+};
+
+// ★ グループの稼働日カレンダー (DailyDutyNotifier と同じ。組み込み以外の休日はストレージから読み込む)
+const getGroupCalendar = async (group) => {
+  const customProviders = {};
+  for (const calendarId of group.holidayCalendars.filter(name => !isBuiltInHolidayProvider(name))) {
+    const item = await storage.getCalendar(calendarId);
+    if (!item) {
+      throw new Error(`Holiday calendar ${calendarId} not found.`);
+    }
+    customProviders[calendarId] = createDateListProvider(item.dates, item.name);
+  }
+  return createWorkingDayCalendar(group, customProviders);
+};
+
+// グループのタイムゾーンでの今日の日付 (yyyy-MM-dd)
+const getTodayInZone = (timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+
+// DutyStateから現在の状態を取得
+const getDutyState = async (group) => {
+  const Item = await storage.getState(group);
+  logger.info(`Duty state retrieved: ${JSON.stringify(Item)}`);
+  return Item || { lastAssignedMemberId: null, lastAssignmentDate: null }; // データなければデフォルト
+};
+
+// DutyMembersから全メンバーを取得
+const getAllMembers = async (group) => {
+  const Items = await storage.listMembers(group);
+  logger.info(`Loaded ${Items.length} members of ${group.groupId}`);
+  // dutyCount が数値でない場合や存在しない場合に備えてデフォルト値0を設定 (absences も配列に揃える)
+  // ロールごとのグループなら、そのロールのカウント (countAttribute) を dutyCount として扱う
+  // ローテーションから抜けたメンバー (active: false) は含めない
+  return Items.filter(item => item.active !== false).map(item => ({
+    ...item,
+    dutyCount: Number(item[group.countAttribute || 'dutyCount']) || 0,
+    absences: Array.isArray(item.absences) ? item.absences : [],
+  }));
 };
 
 const verifySlackRequest = (event) => {
@@ -105,11 +241,65 @@ const verifySlackRequest = (event) => {
   }
 };
 
-// ★ DB更新ロジック (カウント増減 + DutyState の Index と MemberId 更新)
-const updateDutyDataOnReselect = async (originalMemberId, newMemberId, newIndex, currentState) => {
+// ★ ローテーションリスト上で次の担当者のインデックスを探す (不在のメンバーはスキップ)
+// 交代可能なメンバーがいなければ -1 を返す (busyMemberIds: 今日ほかのロールを担当しているメンバーもスキップ)
+const findNextAvailableIndex = (rotationList, currentListIndex, members, dateStr, busyMemberIds = new Set()) => {
+  const membersById = new Map(members.map(m => [m.memberId, m]));
+  for (let step = 1; step < rotationList.length; step++) {
+    const index = (currentListIndex + step) % rotationList.length;
+    const candidateId = rotationList[index];
+    if (!membersById.has(candidateId)) {
+      // /duty leave でローテーションから抜けたメンバーは今日の rotationList に残っていても members にはいない
+      logger.info(`Skipping member ${candidateId} (index ${index}) who is no longer in the rotation.`);
+      continue;
+    }
+    if (busyMemberIds.has(candidateId)) {
+      logger.info(`Skipping member ${candidateId} (index ${index}) who has another role on ${dateStr}.`);
+      continue;
+    }
+    if (isMemberAbsentOn(membersById.get(candidateId), dateStr)) {
+      logger.info(`Skipping absent member ${candidateId} (index ${index}) on ${dateStr}.`);
+      continue;
+    }
+    return index;
+  }
+  return -1;
+};
+
+// ★ 担当履歴 (DutyHistory) のレコードを作成 (履歴を記録できないストレージなら null)
+// キー: stateId (パーティション) + historyId (`yyyy-MM-dd#記録時刻#memberId`) で、日付順に並ぶ追記専用のレコード
+const createHistoryRecord = (group, { assignmentDate, memberId, previousMemberId, actorUserId, reason, changeReason }) => {
+  if (!storage.hasHistory) {
+    logger.info("HISTORY_TABLE_NAME is not set. Skipping history record.");
+    return null;
+  }
+  const recordedAt = new Date().toISOString();
+  return {
+    stateId: group.stateId,
+    historyId: `${assignmentDate}#${recordedAt}#${memberId}`,
+    assignmentDate: assignmentDate,               // 担当日
+    memberId: memberId,                           // 担当者
+    previousMemberId: previousMemberId || null,   // 変更前の担当者 (初回選出時は null)
+    actorUserId: actorUserId || null,             // 変更操作をしたユーザー (定時実行は null)
+    reason: reason,                               // scheduled / reserved / reselect / select / skip / swap / unacknowledged / undo
+    ...(changeReason ? { changeReason } : {}),    // 変更の理由 ({ category, comment }。モーダルで入力した場合のみ)
+    recordedAt: recordedAt,
+  };
+};
+
+// ★ DB更新ロジック (カウント増減 + DutyState の Index と MemberId 更新 + 履歴追記)
+// 同時クリックでカウントが二重に動かないよう、まとめて (DynamoDB では1つのトランザクションで)
+// 「State が読み込んだ時点の担当者・インデックスのままであること」を条件に書き込む。
+// 先に他の人が変更していた場合は何も書き込まずに false を返す。
+// changeInfo: { actorUserId, reason, changeReason } は担当履歴と State (lastChangedBy, lastChangeReason) に記録する
+//             rotationList を渡すとローテーションリストを置き換え、reservation を渡すと担当予約も同時に追加する (日直の交換)
+// ボタン・ドロップダウンでの変更は「元に戻す」ための変更前の状態を State の lastChange に残す (それ以外の変更では消す)
+const UNDOABLE_REASONS = ['reselect', 'select'];
+const updateDutyDataOnReselect = async (group, originalMemberId, newMemberId, newIndex, currentState, changeInfo = {}) => {
+  const { stateId } = group;
   // currentState から assignmentDate と rotationList を引き継ぐ
   const assignmentDate = currentState.assignmentDate;
-  const rotationList = currentState.rotationList;
+  const rotationList = changeInfo.rotationList || currentState.rotationList;
 
   if (!assignmentDate || !rotationList || rotationList.length === 0) {
     logger.error("Cannot update state on reselect: Missing assignmentDate or rotationList in current state.");
@@ -117,150 +307,1516 @@ const updateDutyDataOnReselect = async (originalMemberId, newMemberId, newIndex,
     throw new Error("Invalid duty state for reselection.");
   }
 
+  const reason = changeInfo.reason || 'reselect';
+  const changedAt = new Date();
+  const lastChange = UNDOABLE_REASONS.includes(reason) && group.undoGraceMinutes > 0 ? {
+    changeId: `${changedAt.toISOString()}#${newMemberId}`, // 「元に戻す」ボタンの value (この変更の後に別の変更があれば一致しない)
+    reason: reason,
+    memberId: newMemberId,
+    listIndex: newIndex,
+    previousMemberId: originalMemberId,
+    previousListIndex: currentState.currentListIndex,
+    previousAcknowledgedAt: currentState.acknowledgedAt || null,
+    previousAcknowledgedBy: currentState.acknowledgedBy || null,
+    previousAckEscalationLevel: currentState.ackEscalationLevel || 0,
+    changedBy: changeInfo.actorUserId || null,
+    changedAt: changedAt.toISOString(),
+    undoableUntil: new Date(changedAt.getTime() + group.undoGraceMinutes * 60 * 1000).toISOString(),
+  } : null;
+
+  const committed = await storage.commitDutyChange(group, {
+    // 1. 元の担当者のカウントを-1 / 2. 新しい担当者のカウントを+1
+    countChanges: [
+      { memberId: originalMemberId, delta: -1 },
+      { memberId: newMemberId, delta: 1 },
+    ],
+    // 3. DutyState を更新 (読み込んだ時点の担当者・インデックスのままの場合のみ)
+    state: {
+      ...currentState,                // messageTs など他の項目は維持
+      stateId: stateId,
+      assignmentDate: assignmentDate, // 日付は維持
+      rotationList: rotationList,     // リストも維持
+      currentListIndex: newIndex,     // ★ 新しいインデックス
+      currentAssignedMemberId: newMemberId, // ★ 新しい担当者ID
+      lastChangedBy: changeInfo.actorUserId || null, // ★ 変更したユーザー (競合時の案内用)
+      lastChangeReason: changeInfo.changeReason || null, // ★ 変更の理由 (モーダルで入力した場合)
+      lastChange: lastChange,         // ★ 「元に戻す」用の変更前の状態 (戻せない変更なら null)
+      acknowledgedAt: null,           // ★ 新しい担当者はまだ了解していない
+      acknowledgedBy: null,
+      ackEscalationLevel: 0,          // ★ 了解確認 (ack_check) も新しい担当者でやり直す
+    },
+    expect: {
+      assignmentDate: assignmentDate,
+      currentAssignedMemberId: originalMemberId,
+      currentListIndex: currentState.currentListIndex,
+    },
+    // 4. 担当履歴を追記
+    history: createHistoryRecord(group, {
+      assignmentDate,
+      memberId: newMemberId,
+      previousMemberId: originalMemberId,
+      actorUserId: changeInfo.actorUserId,
+      reason: reason,
+      changeReason: changeInfo.changeReason,
+    }),
+    // 5. 担当予約を追加 (日直の交換のみ)
+    reservation: changeInfo.reservation,
+  });
+
+  if (!committed) {
+    logger.warn(`Duty state was changed concurrently (expected member ${originalMemberId}, index ${currentState.currentListIndex}). Nothing was written.`);
+    return false;
+  }
+  logger.info(`Reselected ${originalMemberId} -> ${newMemberId} in one write. New index ${newIndex}`);
+  return true;
+};
+
+// ★ 競合で再選出できなかった場合の結果 (最新の State から誰がいつ変えたかを案内)
+const createConflictResult = async (group) => {
+  const latestState = await getDutyState(group);
+  const messages = createMessageTemplates(group);
+  return {
+    reason: 'Conflict',
+    errorText: messages.render('conflict', {
+      user: latestState.lastChangedBy ? `<@${latestState.lastChangedBy}>` : messages.render('someoneElse'),
+      role: messages.roleName,
+      mention: toMention({ memberId: latestState.currentAssignedMemberId }),
+    }),
+  };
+};
+
+// ★ 全ロールの今日の DutyState (ロールの順)
+const getRoleAssignments = async (group, dateStr) => Promise.all(getRoleGroups(group).map(async (roleGroup) => {
+  const state = await getDutyState(roleGroup);
+  return { roleGroup, state: state.assignmentDate === dateStr && state.currentAssignedMemberId ? state : null };
+}));
+
+// ほかのロールを今日担当しているメンバー (1人が同じ日に2つのロールを持たないようにする)
+const getOtherRoleAssigneeIds = (assignments, roleGroup) => new Set(assignments
+  .filter(({ roleGroup: other, state }) => other.stateId !== roleGroup.stateId && state?.currentAssignedMemberId)
+  .map(({ state }) => state.currentAssignedMemberId));
+
+// 交代先から外すメンバー (ロールが1つなら空)
+const getBusyMemberIds = async (roleGroup, dateStr) => (hasMultipleRoles(roleGroup)
+  ? getOtherRoleAssigneeIds(await getRoleAssignments(roleGroup, dateStr), roleGroup)
+  : new Set());
+
+// ★ ロールが複数ある場合のメッセージ更新 (全ロールの今日の State からメッセージ全体を作り直す)
+const updateRoleDutyMessage = async (group, channelId, messageTs, reselectorUserId, dateStr, contextText) => {
+  const [members, assignments] = await Promise.all([getAllMembers(toBaseGroup(group)), getRoleAssignments(group, dateStr)]);
+  const messages = createMessageTemplates(findRoleGroup(group, group.role?.roleId));
   try {
-    // 1. 元の担当者のカウントを-1
-    const decrementCommand = new UpdateCommand({
-      TableName: membersTableName, Key: { memberId: originalMemberId },
-      UpdateExpression: "ADD dutyCount :dec", ExpressionAttributeValues: { ':dec': -1 },
-      ReturnValues: "UPDATED_NEW",
+    await slackClient.chat.update({
+      channel: channelId,
+      ts: messageTs,
+      ...messages.createRoleDutyMessage(assignments, dateStr, members, contextText || messages.changeNotice(reselectorUserId)),
     });
-    const decResult = await docClient.send(decrementCommand);
-    logger.info(`Decremented count for ${originalMemberId}. New: ${decResult.Attributes?.dutyCount}`);
-
-    // 2. 新しい担当者のカウントを+1
-    const incrementCommand = new UpdateCommand({
-      TableName: membersTableName, Key: { memberId: newMemberId },
-      UpdateExpression: "ADD dutyCount :inc", ExpressionAttributeValues: { ':inc': 1 },
-      ReturnValues: "UPDATED_NEW",
+    logger.info(`Updated Slack message ${messageTs} with all roles.`);
+  } catch (error) {
+    logger.error(`Error updating Slack message ${messageTs}: ${error.data?.error || error.message}`);
+  }
+};
+
+// ★ Slackメッセージ更新関数 (ロールが1つの場合。DailyDutyNotifier が投稿したときと同じテンプレートで作り直す)
+// contextText を渡すと「担当者を変更しました」の代わりにその文を表示する
+const updateSlackMessage = async (group, channelId, messageTs, newMember, originalMemberId, reselectorUserId, members, currentState, contextText) => {
+  const messages = createMessageTemplates(group);
+  // ★ DutyState から assignmentDate を取得 ★
+  const todayDateStr = currentState?.assignmentDate || getTodayInZone(group.timeZone); // currentState がない場合のフォールバック
+
+  try {
+    // ドロップダウンの選択肢は今日のローテーションに含まれるメンバーのみ
+    await slackClient.chat.update({
+      channel: channelId,
+      ts: messageTs,
+      ...messages.createDutyMessage(newMember?.memberId ? newMember : { memberId: '?' }, todayDateStr, members,
+        contextText || messages.changeNotice(reselectorUserId), currentState?.rotationList, currentState?.lastChange),
+    });
+    logger.info(`Updated Slack message ${messageTs} with new format.`);
+  } catch (error) {
+    logger.error(`Error updating Slack message ${messageTs}: ${error.data?.error || error.message}`);
+  }
+};
+
+const hasValidRotation = (currentState) => {
+  const { rotationList, currentListIndex } = currentState;
+  return !!rotationList && rotationList.length > 0 && currentListIndex !== undefined && currentListIndex >= 0;
+};
+
+const invalidRotationResult = (group) => ({
+  reason: 'Invalid rotation state',
+  errorText: createMessageTemplates(group).render('invalidRotation'),
+});
+
+// ★ 次の担当者への再選出 (ボタン・/duty skip 共通)
+// 交代できない場合は { errorText } を返し、成功時は DB 更新後に { newMemberId, nextIndex } を返す
+// busyMemberIds: 今日ほかのロールを担当しているメンバー (交代先にしない)
+const reselectNextMember = async (group, currentState, currentMembers, originalMemberId, changeInfo, busyMemberIds = new Set()) => {
+  const rotationList = currentState.rotationList;
+  const currentListIndex = currentState.currentListIndex;
+  const messages = createMessageTemplates(group);
+
+  if (!hasValidRotation(currentState)) {
+    logger.error("Invalid rotation data in DutyState. Cannot proceed with reselection.");
+    return invalidRotationResult(group);
+  }
+  if (rotationList.length <= 1) {
+    logger.warn("Only one member in rotation list. Cannot reselect.");
+    return { reason: 'Only one member', errorText: messages.render('noOtherMember') };
+  }
+
+  // ★ 次の担当者のインデックスとIDを決定 (当日不在のメンバーは飛ばす)
+  const nextIndex = findNextAvailableIndex(rotationList, currentListIndex, currentMembers, currentState.assignmentDate, busyMemberIds);
+  if (nextIndex === -1) {
+    logger.warn(`All other members in rotation list are absent on ${currentState.assignmentDate}. Cannot reselect.`);
+    return { reason: 'No available member', errorText: messages.render('noAvailableMember') };
+  }
+  const newMemberId = rotationList[nextIndex];
+  logger.info(`Next member determined from rotation list: Index ${nextIndex}, ID ${newMemberId}`);
+
+  // ★ DynamoDB更新 (カウント増減 + StateのIndex/MemberId更新)
+  // 先に他の人が変更していた場合は二重に交代させず、誰が変更したかを返す
+  if (!await updateDutyDataOnReselect(group, originalMemberId, newMemberId, nextIndex, currentState, changeInfo)) {
+    return await createConflictResult(group);
+  }
+  return { newMemberId, nextIndex };
+};
+
+// ★ ドロップダウンで選ばれたメンバーへの再選出
+// カウント増減と DutyState の更新はボタンと同じ updateDutyDataOnReselect で行う
+const reselectToMember = async (group, currentState, currentMembers, originalMemberId, newMemberId, changeInfo, busyMemberIds = new Set()) => {
+  const messages = createMessageTemplates(group);
+  if (!hasValidRotation(currentState)) {
+    logger.error("Invalid rotation data in DutyState. Cannot proceed with reselection.");
+    return invalidRotationResult(group);
+  }
+  if (newMemberId === originalMemberId) {
+    logger.info(`Selected member ${newMemberId} is already on duty. Nothing to do.`);
+    return { reason: 'Same member', errorText: messages.render('sameMember') };
+  }
+
+  const newIndex = currentState.rotationList.indexOf(newMemberId);
+  if (newIndex === -1) {
+    logger.warn(`Selected member ${newMemberId} is not in rotation list.`);
+    return { reason: 'Not in rotation', errorText: messages.render('memberNotInRotation') };
+  }
+  if (busyMemberIds.has(newMemberId)) {
+    logger.warn(`Selected member ${newMemberId} has another role on ${currentState.assignmentDate}.`);
+    return { reason: 'Member busy', errorText: messages.render('memberBusy') };
+  }
+  const newMember = currentMembers.find(m => m.memberId === newMemberId);
+  if (!newMember) {
+    logger.warn(`Selected member ${newMemberId} is no longer in the rotation.`);
+    return { reason: 'Member left', errorText: messages.render('memberLeft') };
+  }
+  if (isMemberAbsentOn(newMember, currentState.assignmentDate)) {
+    logger.warn(`Selected member ${newMemberId} is absent on ${currentState.assignmentDate}.`);
+    return { reason: 'Member absent', errorText: messages.render('memberAbsent') };
+  }
+  logger.info(`Member selected from dropdown: Index ${newIndex}, ID ${newMemberId}`);
+
+  if (!await updateDutyDataOnReselect(group, originalMemberId, newMemberId, newIndex, currentState, changeInfo)) {
+    return await createConflictResult(group);
+  }
+  return { newMemberId, nextIndex: newIndex };
+};
+
+// ★ 再選出後に日直メッセージを最新の状態で更新 (ロールが複数ならメッセージ全体を作り直す)
+const refreshDutyMessage = async (group, channelId, messageTs, newMemberId, originalMemberId, userId, currentState, contextText) => {
+  if (hasMultipleRoles(group)) {
+    await updateRoleDutyMessage(group, channelId, messageTs, userId, currentState.assignmentDate, contextText);
+    return await storage.getMember(group, newMemberId);
+  }
+  // 最新のメンバー情報(カウント反映後)と、新しい担当者の詳細情報、「元に戻す」ボタン用の最新の State が必要
+  const [updatedMembers, newMember, latestState] = await Promise.all([
+    getAllMembers(group), // 最新の全メンバーリスト(表示用)
+    storage.getMember(group, newMemberId), // 新担当者の詳細取得
+    getDutyState(group),
+  ]);
+
+  if (!newMember) {
+    logger.error(`Failed to get details for the newly selected member ${newMemberId}`);
+    // メッセージ更新は IDだけでも渡して試みる
+  }
+  await updateSlackMessage(group, channelId, messageTs, newMember || { memberId: newMemberId }, originalMemberId, userId, updatedMembers,
+    { ...currentState, lastChange: latestState.lastChange }, contextText);
+  return newMember;
+};
+
+// 日直メッセージの「了解しました」ボタンを外し、了解済みの表示を追加 (他のブロックはそのまま)
+// ロールが複数ある場合は roleId のロールのボタンのブロックだけを置き換える
+const replaceAcknowledgeButton = (blocks, roleId, acknowledgedText) => {
+  const blockSuffix = roleId ? `#${roleId}` : '';
+  return blocks.flatMap(block => {
+    if (block.block_id !== `duty_actions${blockSuffix}`) return [block];
+    return [
+      { ...block, elements: block.elements.filter(element => element.action_id !== 'acknowledge_duty_action') },
+      { type: 'context', block_id: `duty_ack${blockSuffix}`, elements: [{ type: 'mrkdwn', text: acknowledgedText }] },
+    ];
+  });
+};
+
+// ★ DutyState から今日の日直メッセージを作り直す (/duty refresh と、元のメッセージがないリトライで使う)
+// 担当者・了解済みの表示・ボタン・メンバー表を最新の State とメンバーで置き換える。注記は直前の変更 (lastChangedBy) のみ
+// 作り直せない場合は { errorText } を返す
+const rebuildDutyMessage = async (group) => {
+  const roleGroups = getRoleGroups(group);
+  const messages = createMessageTemplates(group);
+  const states = await Promise.all(roleGroups.map(roleGroup => getDutyState(roleGroup)));
+  const ref = states.find(state => state.channelId && state.messageTs);
+  if (!ref || !ref.assignmentDate) {
+    logger.warn("No duty message recorded in DutyState. Cannot rebuild.");
+    return { reason: 'No duty message', errorText: messages.render('noDutyMessage') };
+  }
+  const { channelId, messageTs, assignmentDate } = ref;
+  const members = await getAllMembers(toBaseGroup(group));
+
+  let message;
+  if (hasMultipleRoles(group)) {
+    const assignments = roleGroups.map((roleGroup, index) => ({
+      roleGroup,
+      state: states[index].assignmentDate === assignmentDate && states[index].currentAssignedMemberId ? states[index] : null,
+    }));
+    message = messages.createRoleDutyMessage(assignments, assignmentDate, members);
+  } else {
+    const [state] = states;
+    const member = members.find(m => m.memberId === state.currentAssignedMemberId) || { memberId: state.currentAssignedMemberId };
+    const contextText = state.lastChangedBy ? messages.changeNotice(state.lastChangedBy, state.lastChangeReason) : undefined;
+    message = messages.createDutyMessage(member, assignmentDate, members, contextText, state.rotationList, state.lastChange);
+    if (state.acknowledgedAt) {
+      message.blocks = replaceAcknowledgeButton(message.blocks, undefined, messages.acknowledgedText(state.acknowledgedBy || member.memberId, state.acknowledgedAt));
+    }
+  }
+
+  try {
+    await slackClient.chat.update({ channel: channelId, ts: messageTs, ...message });
+  } catch (error) {
+    logger.error(`Error rebuilding Slack message ${messageTs}: ${error.data?.error || error.message}`);
+    return { reason: 'Update failed', errorText: messages.render('messageUpdateFailed', { message: error.data?.error || error.message }) };
+  }
+  logger.info(`Rebuilt duty message ${messageTs} in ${channelId} from DutyState.`);
+  return { channelId, messageTs };
+};
+
+// --- スラッシュコマンド (/duty) ---
+// コマンドへの返信メッセージ (response_url に送る形式)
+const commandReply = (text, { blocks, inChannel = false } = {}) => ({
+  response_type: inChannel ? 'in_channel' : 'ephemeral',
+  text,
+  ...(blocks ? { blocks } : {}),
+});
+
+// `who`: 今日の担当者 (DutyState) を表示 (ロールが複数なら全ロール分)
+const handleWhoCommand = async (group, currentState, currentMembers) => {
+  const messages = createMessageTemplates(group);
+  if (!currentState.currentAssignedMemberId) {
+    return commandReply(messages.render('notAssignedYet', { role: messages.roleName }));
+  }
+  if (hasMultipleRoles(group)) {
+    const membersById = new Map(currentMembers.map(m => [m.memberId, m]));
+    const lines = (await getRoleAssignments(group, currentState.assignmentDate)).map(({ roleGroup, state }) => {
+      const member = state && (membersById.get(state.currentAssignedMemberId) || { memberId: state.currentAssignedMemberId });
+      return member
+        ? messages.render('whoRoleItem', { role: roleGroup.role.name, name: member.memberName || member.memberId })
+        : messages.render('whoRoleUnassigned', { role: roleGroup.role.name });
     });
-    const incResult = await docClient.send(incrementCommand);
-    logger.info(`Incremented count for ${newMemberId}. New: ${incResult.Attributes?.dutyCount}`);
-
-    // 3. DutyState テーブルを更新 (PutCommandで必須項目含めて上書き)
-    const putStateCommand = new PutCommand({
-      TableName: stateTableName,
-      Item: {
-        stateId: stateId,
-        assignmentDate: assignmentDate, // 日付は維持
-        rotationList: rotationList,     // リストも維持
-        currentListIndex: newIndex,     // ★ 新しいインデックス
-        currentAssignedMemberId: newMemberId, // ★ 新しい担当者ID
+    return commandReply(messages.render('whoRoles', { date: currentState.assignmentDate, lines: lines.join('\n') }));
+  }
+  const member = currentMembers.find(m => m.memberId === currentState.currentAssignedMemberId)
+    || { memberId: currentState.currentAssignedMemberId };
+  return commandReply(messages.render('who', { date: currentState.assignmentDate, role: messages.roleName, name: member.memberName || member.memberId }));
+};
+
+// `list`: 日直メッセージと同じメンバーリストを表示
+const handleListCommand = (group, currentState, currentMembers) => {
+  const messages = createMessageTemplates(group);
+  const memberListBlocks = messages.createMemberListBlocks(currentMembers, currentState.assignmentDate);
+  if (memberListBlocks.length === 0) {
+    return commandReply(messages.render('noMembers'));
+  }
+  // 先頭の divider は不要なので context ブロックのみ返す
+  return commandReply(messages.render('memberListReply'), { blocks: memberListBlocks.filter(block => block.type !== 'divider') });
+};
+
+// ローテーションリスト上で今日の担当者の後に続くメンバー (不在者・抜けたメンバーを除く)
+const getUpcomingMembers = (currentState, currentMembers) => {
+  const { rotationList, currentListIndex } = currentState;
+  const membersById = new Map(currentMembers.map(m => [m.memberId, m]));
+  const upcoming = [];
+  for (let step = 1; step < rotationList.length; step++) {
+    const member = membersById.get(rotationList[(currentListIndex + step) % rotationList.length]);
+    if (!member || isMemberAbsentOn(member, currentState.assignmentDate)) continue;
+    upcoming.push(member);
+  }
+  return upcoming;
+};
+
+// `next`: ローテーションリスト上のこの後の順番 (不在者を除く) を表示
+const handleNextCommand = (group, currentState, currentMembers) => {
+  const messages = createMessageTemplates(group);
+  if (!hasValidRotation(currentState)) {
+    return commandReply(messages.render('noRotation'));
+  }
+  const upcoming = getUpcomingMembers(currentState, currentMembers);
+  if (upcoming.length === 0) {
+    return commandReply(messages.render('noOtherMember'));
+  }
+  const lines = upcoming.map((member, i) => `${i + 1}. ${member.memberName || member.memberId}`).join('\n');
+  return commandReply(`${messages.render('nextTitle', { button: messages.render('reselectButton'), date: currentState.assignmentDate })}\n${lines}`);
+};
+
+// `skip`: ボタンと同じく次の担当者へ交代し、元の日直メッセージも更新
+const handleSkipCommand = async (group, currentState, currentMembers, userId) => {
+  const messages = createMessageTemplates(group);
+  const originalMemberId = currentState.currentAssignedMemberId;
+  if (!originalMemberId) {
+    return commandReply(messages.render('notAssignedYet', { role: messages.roleName }));
+  }
+
+  const busyMemberIds = await getBusyMemberIds(group, currentState.assignmentDate);
+  const result = await reselectNextMember(group, currentState, currentMembers, originalMemberId, { actorUserId: userId, reason: 'skip' }, busyMemberIds);
+  if (result.errorText) {
+    return commandReply(result.errorText);
+  }
+
+  let newMember = currentMembers.find(m => m.memberId === result.newMemberId) || { memberId: result.newMemberId };
+  if (currentState.channelId && currentState.messageTs) {
+    newMember = await refreshDutyMessage(group, currentState.channelId, currentState.messageTs, result.newMemberId, originalMemberId, userId, currentState) || newMember;
+  } else {
+    logger.warn("No duty message recorded in DutyState. Skipping message update.");
+  }
+
+  return commandReply(
+    messages.render('skipNotice', { user: `<@${userId}>`, role: messages.roleName, mention: toMention(newMember) }),
+    { inChannel: true }
+  );
+};
+
+// `refresh`: 日直メッセージの表示が DutyState とずれた場合 (更新の失敗など) に作り直す
+const handleRefreshCommand = async (group) => {
+  const result = await rebuildDutyMessage(group);
+  if (result.errorText) {
+    return commandReply(result.errorText);
+  }
+  return commandReply(createMessageTemplates(group).render('refreshed'));
+};
+
+// --- 日直の交換 (/duty swap) ---
+// 「今日を代わってくれたら、木曜は私がやります」: 今日の日直 (依頼者) が相手に DM で交換を依頼し、
+// 相手が承諾したら今日の担当を相手に変更し、指定した日に依頼者の担当予約を入れる (DailyDutyNotifier が予約どおりに選出する)
+// カウントは今日の交代で 依頼者 -1 / 相手 +1、予約した日に依頼者 +1 となり、実際に担当した日数どおりになる
+// コマンドの引数からメンバーを探す (<@U0123|name> 形式のメンション / memberId / 表示名)
+const findMemberByArg = (arg, members) => {
+  const mentionedId = arg.match(/^<@([UW][A-Z0-9]+)(\|[^>]*)?>$/)?.[1];
+  const name = arg.replace(/^@/, '');
+  return members.find(m => m.memberId === (mentionedId || arg))
+    || (!mentionedId ? members.find(m => m.memberName === name) : undefined);
+};
+
+// 交換の依頼・承諾の両方で使う確認 (問題があればエラーメッセージを返す)
+const validateSwap = async (group, currentState, currentMembers, requesterId, targetId, swapDate) => {
+  const messages = createMessageTemplates(group);
+  const todayStr = currentState.assignmentDate;
+  const target = currentMembers.find(m => m.memberId === targetId);
+  if (!target) return messages.render('swapTargetNotMember');
+  if (targetId === requesterId) return messages.render('swapSelf');
+  if (isMemberAbsentOn(target, todayStr)) return messages.render('swapTargetAbsent', { mention: toMention(target) });
+  if ((await getBusyMemberIds(group, todayStr)).has(targetId)) return messages.render('swapTargetBusy', { mention: toMention(target) });
+  if (swapDate <= todayStr) return messages.render('swapDateNotFuture');
+
+  const calendar = await getGroupCalendar(group);
+  const dayOffReason = calendar.getDayOffReason(swapDate);
+  if (dayOffReason) return messages.render('swapDayOff', { date: messages.formatDate(swapDate), reason: messages.formatDayOffReason(dayOffReason) });
+  const requester = currentMembers.find(m => m.memberId === requesterId);
+  if (isMemberAbsentOn(requester, swapDate)) return messages.render('memberAbsentOn', { date: messages.formatDate(swapDate), mention: toMention(requester) });
+
+  const existing = (await storage.listReservations(group, swapDate)).find(r => r.reservationDate === swapDate);
+  if (existing) return messages.render('swapAlreadyReserved', { date: messages.formatDate(swapDate), mention: toMention({ memberId: existing.memberId }) });
+  return null;
+};
+
+// `swap @メンバー yyyy-MM-dd`: 相手に承諾・辞退ボタン付きの DM を送る
+const handleSwapCommand = async (group, currentState, currentMembers, userId, args) => {
+  const messages = createMessageTemplates(group);
+  const [targetArg, swapDate] = args;
+  if (!targetArg || !/^\d{4}-\d{2}-\d{2}$/.test(swapDate || '')) {
+    return commandReply(messages.render('swapUsage'));
+  }
+  if (!storage.hasReservations) {
+    return commandReply(messages.render('swapNoReservationsTable'));
+  }
+  if (!currentState.currentAssignedMemberId || currentState.assignmentDate !== getTodayInZone(group.timeZone)) {
+    return commandReply(messages.render('notAssignedYet', { role: messages.roleName }));
+  }
+  if (currentState.currentAssignedMemberId !== userId) {
+    return commandReply(messages.render('swapOnlyAssignee', { role: messages.roleName, mention: toMention({ memberId: currentState.currentAssignedMemberId }) }));
+  }
+
+  const target = findMemberByArg(targetArg, currentMembers);
+  const errorText = await validateSwap(group, currentState, currentMembers, userId, target?.memberId, swapDate);
+  if (errorText) {
+    return commandReply(errorText);
+  }
+
+  const swapValue = JSON.stringify({
+    group_id: group.groupId,
+    assignment_date: currentState.assignmentDate,
+    requester_id: userId,
+    target_id: target.memberId,
+    swap_date: swapDate,
+    locale: messages.locale,
+  });
+  const requestText = messages.render('swapRequest', {
+    user: `<@${userId}>`, today: messages.formatDate(currentState.assignmentDate), date: messages.formatDate(swapDate),
+  });
+  await slackClient.chat.postMessage({
+    channel: target.memberId, // ユーザーID宛てに送ると Bot との DM になる
+    text: requestText,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: requestText } },
+      {
+        type: 'actions',
+        block_id: 'swap_request',
+        elements: [
+          { type: 'button', text: { type: 'plain_text', text: messages.render('swapAcceptButton'), emoji: true }, style: 'primary', action_id: 'swap_accept_action', value: swapValue },
+          { type: 'button', text: { type: 'plain_text', text: messages.render('swapDeclineButton'), emoji: true }, action_id: 'swap_decline_action', value: swapValue },
+        ],
       },
+    ],
+  });
+  logger.info(`Swap requested by ${userId} to ${target.memberId}: today (${currentState.assignmentDate}) <-> ${swapDate}`);
+  return commandReply(messages.render('swapRequested', { mention: toMention(target), date: messages.formatDate(swapDate) }));
+};
+
+// 交換依頼の DM を結果の文に置き換える (ボタンを消して二重に押せないようにする)
+const closeSwapRequest = async (payload, text) => {
+  try {
+    await slackClient.chat.update({ channel: payload.container.channel_id, ts: payload.container.message_ts, text, blocks: [] });
+  } catch (error) {
+    logger.error(`Error updating swap request message: ${error.data?.error || error.message}`);
+  }
+};
+
+// ★ 交換依頼の「引き受ける」「お断りする」ボタン
+const handleSwapResponse = async (payload) => {
+  const action = payload.actions[0];
+  const accepted = action.action_id === 'swap_accept_action';
+  const { group_id: groupId, assignment_date: assignmentDate, requester_id: requesterId, target_id: targetId, swap_date: swapDate, locale } = JSON.parse(action.value || '{}');
+  const userId = payload.user?.id;
+  logger.info(`Swap ${accepted ? 'accepted' : 'declined'} by ${userId}: ${requesterId} -> ${targetId}, ${assignmentDate} <-> ${swapDate}`);
+
+  // 依頼の DM が共有されるなどして、相手以外の人が押した場合は本人にだけ知らせる (届かなくても処理は続けない)
+  if (userId !== targetId) {
+    logger.warn(`User ${userId} is not the target of this swap request (${targetId}).`);
+    try {
+      await slackClient.chat.postEphemeral({
+        channel: payload.container.channel_id, user: userId,
+        text: getMessagesForLocale(locale).render('swapNotForYou', { mention: `<@${targetId}>` }),
+      });
+    } catch (error) {
+      logger.error(`Error posting swap notice to ${userId}: ${error.data?.error || error.message}`);
+    }
+    return { statusCode: 200, body: 'OK (Not the swap target)' };
+  }
+
+  const group = await findGroupById(groupId);
+  if (!group) {
+    await closeSwapRequest(payload, defaultMessages.render('swapNoGroup'));
+    return { statusCode: 200, body: 'OK (No rotation group)' };
+  }
+  const messages = createMessageTemplates(group);
+  if (!accepted) {
+    const dates = { today: messages.formatDate(assignmentDate), date: messages.formatDate(swapDate) };
+    await closeSwapRequest(payload, messages.render('swapDeclined', dates));
+    await slackClient.chat.postMessage({ channel: requesterId, text: messages.render('swapDeclinedNotice', { user: `<@${targetId}>`, ...dates }) });
+    return { statusCode: 200, body: 'OK (Swap declined)' };
+  }
+  const [currentState, currentMembers] = await Promise.all([getDutyState(group), getAllMembers(group)]);
+
+  // 依頼後に今日の担当が変わっていたら無効
+  if (currentState.assignmentDate !== assignmentDate || currentState.currentAssignedMemberId !== requesterId || !hasValidRotation(currentState)) {
+    await closeSwapRequest(payload, messages.render('swapStale'));
+    return { statusCode: 200, body: 'OK (Stale swap request)' };
+  }
+  const errorText = await validateSwap(group, currentState, currentMembers, requesterId, targetId, swapDate);
+  if (errorText) {
+    await closeSwapRequest(payload, messages.render('swapInvalid', { reason: errorText }));
+    return { statusCode: 200, body: 'OK (Invalid swap request)' };
+  }
+
+  // ★ 今日の担当を相手に変更 + 依頼者の担当予約を同時に書き込む
+  // 相手が今日のローテーションリストにいない場合 (朝の選出後に追加されたメンバーなど) は末尾に加える
+  const rotationList = currentState.rotationList.includes(targetId) ? currentState.rotationList : [...currentState.rotationList, targetId];
+  const committed = await updateDutyDataOnReselect(group, requesterId, targetId, rotationList.indexOf(targetId), currentState, {
+    actorUserId: targetId,
+    reason: 'swap',
+    rotationList,
+    reservation: {
+      reservationDate: swapDate,
+      memberId: requesterId,
+      reason: 'swap',
+      swapWith: targetId,
+      createdBy: targetId,
+      createdAt: new Date().toISOString(),
+    },
+  });
+  if (!committed) {
+    const { errorText: conflictText } = await createConflictResult(group);
+    await closeSwapRequest(payload, messages.render('swapInvalid', { reason: conflictText }));
+    return { statusCode: 200, body: 'OK (Conflict)' };
+  }
+
+  // ★ 日直メッセージ・依頼の DM を更新し、依頼者に知らせる
+  if (currentState.channelId && currentState.messageTs) {
+    await refreshDutyMessage(group, currentState.channelId, currentState.messageTs, targetId, requesterId, targetId, { ...currentState, rotationList },
+      messages.render('swapNotice', { requester: `<@${requesterId}>`, target: `<@${targetId}>`, date: messages.formatDate(swapDate) }));
+  } else {
+    logger.warn("No duty message recorded in DutyState. Skipping message update.");
+  }
+  await closeSwapRequest(payload, messages.render('swapAccepted', {
+    today: messages.formatDate(assignmentDate), date: messages.formatDate(swapDate), requester: `<@${requesterId}>`,
+  }));
+  await slackClient.chat.postMessage({ channel: requesterId, text: messages.render('swapAcceptedNotice', { user: `<@${targetId}>`, date: messages.formatDate(swapDate) }) });
+  logger.info(`Swap completed: ${requesterId} -> ${targetId} today, ${requesterId} reserved on ${swapDate}`);
+  return { statusCode: 200, body: 'OK (Swap accepted)' };
+};
+
+// --- 担当予約 (/duty reserve, unreserve, reservations) ---
+// リリース日やオンボーディング担当など、特定の日の日直を前もって決めておく (DailyDutyNotifier が予約どおりに選出する)
+// `reserve @メンバー yyyy-MM-dd [メモ]`
+const handleReserveCommand = async (group, currentMembers, userId, args) => {
+  const messages = createMessageTemplates(group);
+  const [memberArg, reservationDate, ...noteWords] = args;
+  if (!memberArg || !/^\d{4}-\d{2}-\d{2}$/.test(reservationDate || '')) {
+    return commandReply(messages.render('reserveUsage'));
+  }
+  if (!storage.hasReservations) {
+    return commandReply(messages.render('noReservationsTable'));
+  }
+
+  const member = findMemberByArg(memberArg, currentMembers);
+  if (!member) {
+    return commandReply(messages.render('notAMember', { name: memberArg }));
+  }
+  if (reservationDate <= getTodayInZone(group.timeZone)) {
+    return commandReply(messages.render('reserveDateNotFuture'));
+  }
+  const dayOffReason = (await getGroupCalendar(group)).getDayOffReason(reservationDate);
+  if (dayOffReason) {
+    return commandReply(messages.render('reserveDayOff', { date: messages.formatDate(reservationDate), reason: messages.formatDayOffReason(dayOffReason) }));
+  }
+  if (isMemberAbsentOn(member, reservationDate)) {
+    return commandReply(messages.render('memberAbsentOn', { date: messages.formatDate(reservationDate), mention: toMention(member) }));
+  }
+
+  const note = noteWords.join(' ');
+  const saved = await storage.putReservation(group, {
+    reservationDate,
+    memberId: member.memberId,
+    reason: 'manual',
+    createdBy: userId,
+    createdAt: new Date().toISOString(),
+    ...(note ? { note } : {}),
+  });
+  if (!saved) {
+    return commandReply(messages.render('reserveExists', { date: messages.formatDate(reservationDate), dateArg: reservationDate }));
+  }
+  logger.info(`Reservation created by ${userId}: ${member.memberId} on ${reservationDate}`);
+  return commandReply(
+    messages.render('reserved', {
+      user: `<@${userId}>`,
+      date: messages.formatDate(reservationDate),
+      mention: toMention(member),
+      note: note ? messages.render('reservationMemo', { note }) : '',
+    }),
+    { inChannel: true }
+  );
+};
+
+// `unreserve yyyy-MM-dd`
+// 交換で入った予約は、交換した2人のどちらかだけが取り消せる (カウントの釣り合いが崩れるため)
+const handleUnreserveCommand = async (group, userId, args) => {
+  const messages = createMessageTemplates(group);
+  const [reservationDate] = args;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(reservationDate || '')) {
+    return commandReply(messages.render('reserveUsage'));
+  }
+  if (!storage.hasReservations) {
+    return commandReply(messages.render('noReservationsTable'));
+  }
+
+  const reservation = (await storage.listReservations(group, reservationDate)).find(r => r.reservationDate === reservationDate);
+  if (!reservation) {
+    return commandReply(messages.render('noReservationOn', { date: messages.formatDate(reservationDate) }));
+  }
+  if (reservation.reason === 'swap' && ![reservation.memberId, reservation.swapWith].includes(userId)) {
+    return commandReply(messages.render('unreserveSwapOnly', {
+      mention: toMention({ memberId: reservation.memberId }), other: toMention({ memberId: reservation.swapWith }),
+    }));
+  }
+
+  await storage.deleteReservation(group, reservationDate);
+  logger.info(`Reservation on ${reservationDate} (${reservation.memberId}) cancelled by ${userId}`);
+  return commandReply(
+    messages.render('unreserved', { user: `<@${userId}>`, date: messages.formatDate(reservationDate), mention: toMention({ memberId: reservation.memberId }) }),
+    { inChannel: true }
+  );
+};
+
+// `reservations`: 今日以降の予約一覧
+const handleReservationsCommand = async (group, currentMembers) => {
+  const messages = createMessageTemplates(group);
+  if (!storage.hasReservations) {
+    return commandReply(messages.render('noReservationsTable'));
+  }
+  const reservations = await storage.listReservations(group, getTodayInZone(group.timeZone));
+  if (reservations.length === 0) {
+    return commandReply(messages.render('noUpcomingReservations'));
+  }
+  const membersById = new Map(currentMembers.map(m => [m.memberId, m]));
+  const lines = reservations.map(r => {
+    const member = membersById.get(r.memberId) || { memberId: r.memberId };
+    return messages.render('reservationsItem', {
+      date: messages.formatDate(r.reservationDate),
+      name: member.memberName || member.memberId,
+      reason: messages.reservationLabel(r.reason),
+      note: r.note ? messages.render('reservationMemo', { note: r.note }) : '',
     });
-    await docClient.send(putStateCommand);
-    logger.info(`Updated duty state: New index ${newIndex}, New member ${newMemberId}`);
+  });
+  return commandReply(`${messages.render('reservationsTitle')}\n${lines.join('\n')}`);
+};
 
+// --- メンバー管理 (/duty join, leave, pause, unpause, reorder) ---
+// Slack のプロフィールから表示名を取得 (users:read スコープがなければユーザーIDのまま)
+const getSlackDisplayName = async (userId) => {
+  try {
+    const { user } = await slackClient.users.info({ user: userId });
+    return user?.profile?.display_name || user?.real_name || user?.name || userId;
   } catch (error) {
-    logger.error(`Error updating data on reselect (original: ${originalMemberId}, new: ${newMemberId}): ${error}`);
-    throw error;
+    logger.warn(`Could not get Slack profile of ${userId}: ${error.data?.error || error.message}`);
+    return userId;
   }
 };
 
-// ★ メンバーリスト表示用ブロック作成 (displayOrder でソート)
-const createMemberListBlocks = (members) => {
-  if (!members || members.length === 0) return [];
+// ★ 新しく参加するメンバーの初期カウント (ロールごと)
+// 0 から始めると回数の少ない順で毎日選ばれてしまうので、今のメンバーの平均 (切り捨て) か最小に揃える
+// 期ごとに数えている場合 (DutyState に periodKey がある) は、今期の回数も同じ基準になるよう期の始めの回数を追加する
+const fairCountOf = (counts, policy) => {
+  if (counts.length === 0) return 0;
+  return policy === 'min' ? Math.min(...counts) : Math.floor(counts.reduce((sum, count) => sum + count, 0) / counts.length);
+};
+
+const calculateJoinCounts = async (group, memberId) => {
+  const counts = {};
+  const periodUpdates = [];
+  for (const roleGroup of getRoleGroups(group)) {
+    const [members, state] = await Promise.all([getAllMembers(roleGroup), getDutyState(roleGroup)]);
+    const others = members.filter(m => m.memberId !== memberId);
+    const count = fairCountOf(others.map(m => m.dutyCount), group.joinCountPolicy);
+    counts[roleGroup.countAttribute] = count;
+    if (state.periodKey && state.periodKey !== 'all') {
+      const periodCounts = others.map(m => m.dutyCount - (state.periodBaseCounts?.[m.memberId] ?? 0));
+      periodUpdates.push({ roleGroup, periodBaseCounts: { ...state.periodBaseCounts, [memberId]: count - fairCountOf(periodCounts, group.joinCountPolicy) } });
+    }
+  }
+  return { counts, periodUpdates };
+};
+
+// メンバーを Slack のユーザーグループ / チャンネルから同期している場合の案内 (join / leave しても次の定時実行で戻るため)
+const syncedMembershipReply = (group) => {
+  const messages = createMessageTemplates(group);
+  const source = group.syncUsergroupId
+    ? messages.render('syncSourceUsergroup', { usergroup: `<!subteam^${group.syncUsergroupId}>` })
+    : messages.render('syncSourceChannel', { channel: `<#${group.syncChannelId}>` });
+  return commandReply(messages.render('syncedMembership', { source }));
+};
+
+// `join`: 自分をローテーションに追加 (抜けていたメンバーは戻す)
+const handleJoinCommand = async (group, userId) => {
+  if (group.syncUsergroupId || group.syncChannelId) {
+    return syncedMembershipReply(group);
+  }
+  const messages = createMessageTemplates(group);
+  const existing = await storage.getMember(group, userId);
+  if (existing && existing.active !== false) {
+    return commandReply(messages.render('alreadyMember'));
+  }
+
+  const { counts, periodUpdates } = await calculateJoinCounts(group, userId);
+  let saved;
+  if (existing) {
+    // 戻ってきたメンバーは、抜ける前の回数が基準より多ければそのまま使う
+    const restoredCounts = Object.fromEntries(Object.entries(counts).map(([name, count]) => [name, Math.max(Number(existing[name]) || 0, count)]));
+    saved = await storage.updateMember(group, userId, { active: true, ...restoredCounts });
+  } else {
+    const allMembers = await storage.listMembers(group);
+    const displayOrder = Math.max(0, ...allMembers.map(m => Number(m.displayOrder) || 0)) + 1;
+    saved = await storage.putMember(group, {
+      memberId: userId,
+      memberName: await getSlackDisplayName(userId),
+      displayOrder,
+      ...counts,
+      absences: [],
+      joinedAt: new Date().toISOString(),
+    });
+  }
+  if (!saved) {
+    return commandReply(messages.render('joinFailed'));
+  }
+  for (const { roleGroup, periodBaseCounts } of periodUpdates) {
+    await storage.updateState(roleGroup, { periodBaseCounts });
+  }
+  logger.info(`Member ${userId} joined ${group.groupId} with counts ${JSON.stringify(counts)}`);
+  return commandReply(messages.render('joined', { user: `<@${userId}>` }), { inChannel: true });
+};
 
-  // ★★★ displayOrder でソート ★★★
-  members.sort((a, b) => {
-    const orderA = a.displayOrder ?? Infinity;
-    const orderB = b.displayOrder ?? Infinity;
-    if (orderA !== orderB) {
-      return orderA - orderB;
+// `leave`: 自分をローテーションから外す (担当回数と履歴は残し、active: false にする)
+const handleLeaveCommand = async (group, currentState, userId) => {
+  if (group.syncUsergroupId || group.syncChannelId) {
+    return syncedMembershipReply(group);
+  }
+  const messages = createMessageTemplates(group);
+  const member = await storage.getMember(group, userId);
+  if (!member || member.active === false) {
+    return commandReply(messages.render('notMemberSelf'));
+  }
+  await storage.updateMember(group, userId, { active: false, leftAt: new Date().toISOString() });
+  logger.info(`Member ${userId} left ${group.groupId}`);
+
+  const notes = [];
+  if (currentState.assignmentDate === getTodayInZone(group.timeZone) && currentState.currentAssignedMemberId === userId) {
+    notes.push(messages.render('leftStillAssigned', { role: messages.roleName }));
+  }
+  if (storage.hasReservations) {
+    const reservations = (await storage.listReservations(group, getTodayInZone(group.timeZone))).filter(r => r.memberId === userId);
+    if (reservations.length > 0) {
+      notes.push(messages.render('leftReservations', { dates: reservations.map(r => messages.formatDate(r.reservationDate)).join(', ') }));
     }
-    return (a.memberId || '').localeCompare(b.memberId || ''); // displayOrder が同じ場合の予備ソート
+  }
+  return commandReply([messages.render('left', { user: `<@${userId}>` }), ...notes].join('\n'), { inChannel: true });
+};
+
+// `pause yyyy-MM-dd [yyyy-MM-dd]`: 自分の不在期間 (type: paused) を追加
+const handlePauseCommand = async (group, currentMembers, userId, args) => {
+  const messages = createMessageTemplates(group);
+  const [startDate, endDate = startDate] = args;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+    return commandReply(messages.render('pauseUsage'));
+  }
+  if (endDate < startDate) {
+    return commandReply(messages.render('pauseEndBeforeStart'));
+  }
+  if (endDate < getTodayInZone(group.timeZone)) {
+    return commandReply(messages.render('pausePast'));
+  }
+  const member = currentMembers.find(m => m.memberId === userId);
+  if (!member) {
+    return commandReply(messages.render('pauseNotMember'));
+  }
+
+  await storage.updateMember(group, userId, { absences: [...member.absences, { startDate, endDate, type: 'paused' }] });
+  logger.info(`Member ${userId} paused from ${startDate} to ${endDate}`);
+  const period = startDate === endDate
+    ? messages.formatDate(startDate)
+    : messages.render('period', { from: messages.formatDate(startDate), to: messages.formatDate(endDate) });
+  return commandReply(messages.render('paused', { period }));
+};
+
+// `unpause`: 今日以降にかかる休止 (type: paused) を取り消す
+const handleUnpauseCommand = async (group, currentMembers, userId) => {
+  const messages = createMessageTemplates(group);
+  const member = currentMembers.find(m => m.memberId === userId);
+  const todayStr = getTodayInZone(group.timeZone);
+  const isUpcomingPause = (absence) => absence?.type === 'paused' && (absence.endDate || absence.startDate) >= todayStr;
+  if (!member || !member.absences.some(isUpcomingPause)) {
+    return commandReply(messages.render('noPauseToCancel'));
+  }
+  await storage.updateMember(group, userId, { absences: member.absences.filter(absence => !isUpcomingPause(absence)) });
+  logger.info(`Member ${userId} cancelled upcoming pauses`);
+  return commandReply(messages.render('unpaused'));
+};
+
+// `reorder @メンバー1 @メンバー2 ...`: 表示順を並べ替える (管理者のみ)
+const handleReorderCommand = async (group, currentMembers, userId, args) => {
+  const messages = createMessageTemplates(group);
+  if (!group.adminUserIds.includes(userId)) {
+    return commandReply(messages.render('reorderAdminOnly'));
+  }
+  if (args.length === 0) {
+    return commandReply(messages.render('reorderUsage'));
+  }
+  const ordered = [];
+  for (const arg of args) {
+    const member = findMemberByArg(arg, currentMembers);
+    if (!member) {
+      return commandReply(messages.render('notAMember', { name: arg }));
+    }
+    if (!ordered.includes(member)) ordered.push(member);
+  }
+  // 指定されなかったメンバーは今の表示順のまま後ろに並べる
+  const rest = currentMembers.filter(m => !ordered.includes(m)).sort((a, b) => {
+    const orderA = a.displayOrder ?? Infinity; const orderB = b.displayOrder ?? Infinity;
+    if (orderA !== orderB) return orderA - orderB;
+    return (a.memberId || '').localeCompare(b.memberId || '');
   });
+  const changes = [...ordered, ...rest]
+    .map((member, index) => ({ member, displayOrder: index + 1 }))
+    .filter(({ member, displayOrder }) => member.displayOrder !== displayOrder);
+  for (const { member, displayOrder } of changes) {
+    await storage.updateMember(group, member.memberId, { displayOrder });
+  }
+  logger.info(`Display order updated by ${userId}: ${[...ordered, ...rest].map(m => m.memberId).join(', ')}`);
+  const lines = [...ordered, ...rest].map((m, i) => `${i + 1}. ${m.memberName || m.memberId}`).join('\n');
+  return commandReply(messages.render('reordered', { user: `<@${userId}>`, lines }), { inChannel: true });
+};
+
+const handleSlashCommand = async (commandBody) => {
+  const [subcommand = 'help', ...args] = (commandBody.text || '').trim().split(/\s+/).filter(Boolean);
+  const userId = commandBody.user_id;
+  logger.info(`Slash command received: ${commandBody.command} ${subcommand} by user ${userId} in channel ${commandBody.channel_id}`);
+
+  try {
+    // ★ コマンドを実行したチャンネルからグループを決定 (使い方の案内もグループの言語で返す)
+    const group = await resolveGroupByChannel(commandBody.channel_id);
+    if (!['who', 'list', 'next', 'skip', 'refresh', 'swap', 'reserve', 'unreserve', 'reservations', 'join', 'leave', 'pause', 'unpause', 'reorder'].includes(subcommand)) {
+      return commandReply((group ? createMessageTemplates(group) : defaultMessages).render('commandUsage'));
+    }
+    if (!group) {
+      return commandReply(defaultMessages.render('noGroup'));
+    }
+
+    const [currentState, currentMembers] = await Promise.all([getDutyState(group), getAllMembers(group)]);
+    switch (subcommand) {
+      case 'who':
+        return await handleWhoCommand(group, currentState, currentMembers);
+      case 'list':
+        return handleListCommand(group, currentState, currentMembers);
+      case 'next':
+        return handleNextCommand(group, currentState, currentMembers);
+      case 'skip':
+        return await handleSkipCommand(group, currentState, currentMembers, userId);
+      case 'refresh':
+        return await handleRefreshCommand(group);
+      case 'swap':
+        return await handleSwapCommand(group, currentState, currentMembers, userId, args);
+      case 'reserve':
+        return await handleReserveCommand(group, currentMembers, userId, args);
+      case 'unreserve':
+        return await handleUnreserveCommand(group, userId, args);
+      case 'reservations':
+        return await handleReservationsCommand(group, currentMembers);
+      case 'join':
+        return await handleJoinCommand(group, userId);
+      case 'leave':
+        return await handleLeaveCommand(group, currentState, userId);
+      case 'pause':
+        return await handlePauseCommand(group, currentMembers, userId, args);
+      case 'unpause':
+        return await handleUnpauseCommand(group, currentMembers, userId);
+      case 'reorder':
+        return await handleReorderCommand(group, currentMembers, userId, args);
+    }
+  } catch (error) {
+    logger.error(`Error handling slash command ${subcommand}: ${error.message}`);
+    logger.error(error.stack);
+    // スラッシュコマンドのエラーは本人にだけ伝える
+    return commandReply(defaultMessages.errorText(error));
+  }
+};
+
+
+// --- 「了解しました」ボタン ---
+// 押せるのは今日の担当者本人のみ。DutyState に了解した時刻を記録し、メッセージのボタンを「了解済み」の表示に置き換える
+const handleAcknowledgeAction = async (payload) => {
+  const action = payload.actions[0];
+  const { current_member_id: memberIdFromButton, role_id: roleId } = JSON.parse(action.value || '{}');
+  const channelId = payload.container?.channel_id;
+  const messageTs = payload.container?.message_ts;
+  const userId = payload.user?.id;
+  logger.info(`Acknowledgement requested for ${memberIdFromButton} in channel ${channelId}, message ${messageTs} by user ${userId}`);
 
-  let memberListText = "*現在の担当回数 (表示順):*\n"; // タイトル変更
-  members.forEach(member => {
-    const name = member.memberName || member.memberId;
-    const count = member.dutyCount || 0;
-    memberListText += `• ${name}: ${count}回\n`;
+  const group = await resolveGroupByChannel(channelId);
+  if (!group) {
+    await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: defaultMessages.render('noGroup') });
+    return { statusCode: 200, body: 'OK (No rotation group)' };
+  }
+  const roleGroup = findRoleGroup(group, roleId);
+  const messages = createMessageTemplates(roleGroup);
+  const currentState = await getDutyState(roleGroup);
+  const currentMemberId = currentState.currentAssignedMemberId;
+
+  if (!currentMemberId || currentMemberId !== memberIdFromButton) {
+    logger.warn(`Acknowledge button for ${memberIdFromButton} does not match current state member ID (${currentMemberId}).`);
+    await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: messages.render('ackStale') });
+    return { statusCode: 200, body: 'OK (Stale acknowledge button)' };
+  }
+  if (userId !== currentMemberId) {
+    logger.warn(`User ${userId} tried to acknowledge duty of ${currentMemberId}.`);
+    await slackClient.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: messages.render('ackNotAssignee', { button: messages.render('acknowledgeButton'), role: messages.roleName, mention: toMention({ memberId: currentMemberId }) }),
+    });
+    return { statusCode: 200, body: 'OK (Not the assignee)' };
+  }
+  if (currentState.acknowledgedAt) {
+    logger.info(`Duty of ${currentMemberId} is already acknowledged at ${currentState.acknowledgedAt}.`);
+    return { statusCode: 200, body: 'OK (Already acknowledged)' };
+  }
+
+  // ★ DutyState に記録 (読み込んだ時点の担当者のままの場合のみ)
+  const acknowledgedAt = new Date().toISOString();
+  const saved = await storage.updateState(roleGroup, { acknowledgedAt, acknowledgedBy: userId }, {
+    expect: { assignmentDate: currentState.assignmentDate, currentAssignedMemberId: currentMemberId },
   });
+  if (!saved) {
+    const { errorText } = await createConflictResult(roleGroup);
+    await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: errorText });
+    return { statusCode: 200, body: 'OK (Conflict)' };
+  }
+  logger.info(`Duty of ${currentMemberId} acknowledged at ${acknowledgedAt}`);
 
-  return [
-    { type: 'divider' },
-    {
-      type: 'context',
-      elements: [{ type: 'mrkdwn', text: memberListText }]
+  // ★ メッセージの「了解しました」ボタンを外し、了解済みの表示を追加 (他のブロックはそのまま)
+  // 時刻は Slack の日付フォーマットで見る人のタイムゾーンに合わせて表示
+  // リトライボタンから呼ばれた場合は元のメッセージの内容がないので、State から作り直す
+  if (!payload.message) {
+    await rebuildDutyMessage(group);
+    return { statusCode: 200, body: 'OK (Acknowledged)' };
+  }
+  const acknowledgedText = messages.acknowledgedText(userId, acknowledgedAt);
+  const blocks = replaceAcknowledgeButton(payload.message.blocks || [], roleId, acknowledgedText);
+  if (blocks.length > 0) {
+    try {
+      await slackClient.chat.update({ channel: channelId, ts: messageTs, text: payload.message.text, blocks });
+    } catch (error) {
+      logger.error(`Error updating Slack message ${messageTs} after acknowledgement: ${error.data?.error || error.message}`);
     }
-  ];
+  }
+  return { statusCode: 200, body: 'OK (Acknowledged)' };
 };
 
-// ★ Slackメッセージ更新関数 (メッセージ形式を変更)
-const updateSlackMessage = async (channelId, messageTs, newMember, originalMemberId, reselectorUserId, members, currentState) => {
-  const newMemberId = newMember?.memberId || "不明";
-  const newMemberName = newMember?.memberName; // 名前も取得
-  const newMemberMention = newMemberId.startsWith('U') || newMemberId.startsWith('W') ? `<@${newMemberId}>` : (newMemberName || newMemberId);
-  const reselectorMention = reselectorUserId ? `<@${reselectorUserId}>` : "誰か";
+// --- 「元に戻す」ボタン ---
+// 交代 (ボタン・ドロップダウン) から undoGraceMinutes 分のあいだ表示し、押すと交代前の担当者・インデックス・了解の状態に戻して
+// カウントの増減も取り消す。その後に担当者が変わっている場合 (別の交代・自動交代・翌日の選出) や時間を過ぎた場合は戻さない
+const handleUndoAction = async (payload) => {
+  const action = payload.actions[0];
+  const { change_id: changeId, role_id: roleId } = JSON.parse(action.value || '{}');
+  const channelId = payload.container?.channel_id;
+  const messageTs = payload.container?.message_ts;
+  const userId = payload.user?.id;
+  logger.info(`Undo requested for change ${changeId} in channel ${channelId}, message ${messageTs} by user ${userId}`);
 
-  // ★ DutyState から assignmentDate を取得 ★
-  const todayDateStr = currentState?.assignmentDate || formatInTimeZone(new Date(), 'Asia/Tokyo', 'yyyy-MM-dd'); // currentState がない場合のフォールバック
+  const group = await resolveGroupByChannel(channelId);
+  if (!group) {
+    await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: defaultMessages.render('noGroup') });
+    return { statusCode: 200, body: 'OK (No rotation group)' };
+  }
+  const roleGroup = findRoleGroup(group, roleId);
+  const messages = createMessageTemplates(roleGroup);
+  const currentState = await getDutyState(roleGroup);
+  const lastChange = currentState.lastChange;
+
+  // ★ 変更した時点の担当者・インデックスのままか確認
+  if (!lastChange || lastChange.changeId !== changeId
+    || currentState.currentAssignedMemberId !== lastChange.memberId || currentState.currentListIndex !== lastChange.listIndex) {
+    logger.warn(`Change ${changeId} is no longer the latest change (current member ${currentState.currentAssignedMemberId}).`);
+    await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: messages.render('undoStale') });
+    return { statusCode: 200, body: 'OK (Stale undo button)' };
+  }
+  if (!isUndoable(lastChange)) {
+    logger.info(`Change ${changeId} can no longer be undone (until ${lastChange.undoableUntil}).`);
+    await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: messages.render('undoExpired', { minutes: roleGroup.undoGraceMinutes }) });
+    // 期限の過ぎたボタンを外す (注記は変更したときのまま)
+    await refreshDutyMessage(roleGroup, channelId, messageTs, lastChange.memberId, lastChange.previousMemberId, lastChange.changedBy, currentState,
+      messages.changeNotice(lastChange.changedBy, currentState.lastChangeReason));
+    return { statusCode: 200, body: 'OK (Undo expired)' };
+  }
+
+  // ★ カウントの増減を逆にし、State を変更前に戻す (読み込んだ時点の担当者・インデックスのままの場合のみ)
+  const committed = await storage.commitDutyChange(roleGroup, {
+    countChanges: [
+      { memberId: lastChange.memberId, delta: -1 },
+      { memberId: lastChange.previousMemberId, delta: 1 },
+    ],
+    state: {
+      ...currentState,
+      currentListIndex: lastChange.previousListIndex,
+      currentAssignedMemberId: lastChange.previousMemberId,
+      lastChangedBy: userId,
+      lastChangeReason: null,
+      lastChange: null, // 元に戻した変更はもう一度は戻せない
+      acknowledgedAt: lastChange.previousAcknowledgedAt,
+      acknowledgedBy: lastChange.previousAcknowledgedBy,
+      ackEscalationLevel: lastChange.previousAckEscalationLevel,
+    },
+    expect: {
+      assignmentDate: currentState.assignmentDate,
+      currentAssignedMemberId: lastChange.memberId,
+      currentListIndex: lastChange.listIndex,
+    },
+    history: createHistoryRecord(roleGroup, {
+      assignmentDate: currentState.assignmentDate,
+      memberId: lastChange.previousMemberId,
+      previousMemberId: lastChange.memberId,
+      actorUserId: userId,
+      reason: 'undo',
+    }),
+  });
+  if (!committed) {
+    const { errorText } = await createConflictResult(roleGroup);
+    await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: errorText });
+    return { statusCode: 200, body: 'OK (Conflict)' };
+  }
+  logger.info(`Undid change ${changeId}: ${lastChange.memberId} -> ${lastChange.previousMemberId}`);
+
+  await refreshDutyMessage(roleGroup, channelId, messageTs, lastChange.previousMemberId, lastChange.memberId, userId, currentState, messages.undoNotice(userId));
+  return { statusCode: 200, body: 'OK (Undone)' };
+};
+
+// ★ 担当者の変更 (「担当を変更する」ボタン / ドロップダウン。理由の入力モーダルからも呼ばれる)
+// request: { currentMemberId, newMemberId, roleId, channelId, messageTs, userId, isSelectAction, changeReason }
+// changeReason: { category, comment } はモーダルで入力された理由 (履歴・State に記録し、メッセージの注記に表示する)
+const processReselectRequest = async (request) => {
+  const { currentMemberId: currentMemberIdFromButton, newMemberId: selectedMemberId, roleId, channelId, messageTs, userId, isSelectAction, changeReason } = request;
 
-  // ★ 変更後のメッセージ本文を定義 ★
-  // 1行目: 新しい担当者の通知 (最初の通知と同じ形式)
-  const mainMessage = `☀️ 今日 (${todayDateStr}) の日直は ${newMemberMention} さんです！\nよろしくお願いします！`;
+  if (!currentMemberIdFromButton || !channelId || !messageTs || (isSelectAction && !selectedMemberId)) {
+    logger.error("Missing required info (current_member_id, channel_id, message_ts) in payload.");
+    // エラーをユーザーに伝えるのは難しいのでログに残す
+    return { statusCode: 200, body: 'OK (Missing info in payload)' };
+  }
+  logger.info(`Reselection requested for current member ${currentMemberIdFromButton}${isSelectAction ? ` to ${selectedMemberId}` : ''} in channel ${channelId}, message ${messageTs} by user ${userId}${changeReason ? ` (reason: ${changeReason.category})` : ''}`);
 
-  // 2行目: 変更履歴 (Contextブロックに入れる)
-  const contextMessage = `:arrows_counterclockwise: ${reselectorMention} さんが担当者を変更しました。`;
+  // --- 再選出処理 ---
+  // ★ ボタンが押されたチャンネルからグループを決定
+  const group = await resolveGroupByChannel(channelId);
+  if (!group) {
+    await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: defaultMessages.render('noGroup') });
+    return { statusCode: 200, body: 'OK (No rotation group)' };
+  }
+  // ★ ボタンの role_id から対象のロールを決定 (ほかのロールの担当者はそのまま)
+  const roleGroup = findRoleGroup(group, roleId);
+  // ★★★ DutyState からローテーションリストと現在のインデックスを取得 ★★★
+  // (不在チェック用にメンバー情報も合わせて取得)
+  const [currentState, currentMembers] = await Promise.all([getDutyState(roleGroup), getAllMembers(roleGroup)]);
+  const busyMemberIds = await getBusyMemberIds(roleGroup, currentState.assignmentDate);
+  // 念のため、ボタンのIDとStateのIDが一致するか確認 (通常は一致するはず)
+  // 一致しない場合は古いメッセージのボタンか同時クリックなので、updateDutyDataOnReselect の条件付き書き込みで弾かれる
+  if (currentState.currentAssignedMemberId !== currentMemberIdFromButton) {
+    logger.warn(`Button member ID (${currentMemberIdFromButton}) does not match current state member ID (${currentState.currentAssignedMemberId}).`);
+  }
 
-  // メンバーリスト表示用ブロック (変更なし)
-  const memberListBlocks = createMemberListBlocks(members);
+  // ★ 次の担当者 (ドロップダウンなら選ばれたメンバー) を決定し、DynamoDB を更新
+  const changeInfo = { actorUserId: userId, reason: isSelectAction ? 'select' : 'reselect', changeReason };
+  const result = isSelectAction
+    ? await reselectToMember(roleGroup, currentState, currentMembers, currentMemberIdFromButton, selectedMemberId, changeInfo, busyMemberIds)
+    : await reselectNextMember(roleGroup, currentState, currentMembers, currentMemberIdFromButton, changeInfo, busyMemberIds);
+  if (result.errorText) {
+    await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: result.errorText });
+    return { statusCode: 200, body: `OK (${result.reason})` };
+  }
+
+  // ★ Slackメッセージ更新 (理由があれば注記に表示)
+  const contextText = changeReason ? createMessageTemplates(roleGroup).changeNotice(userId, changeReason) : undefined;
+  await refreshDutyMessage(roleGroup, channelId, messageTs, result.newMemberId, currentMemberIdFromButton, userId, currentState, contextText);
+
+  logger.info("List rotation reselection process completed successfully.");
+  return { statusCode: 200, body: 'OK (List rotation reselection processed)' };
+};
 
-  // フォールバックテキスト
-  const fallbackText = `現在の日直は ${newMemberMention} さんです。(変更者: ${reselectorMention})`;
+// --- 担当者変更の理由 (モーダル) ---
+// 「担当を変更する」ボタン・ドロップダウンを押すと、理由の分類と任意のコメントを入力するモーダルを開く
+// モーダルを開けるのはインタラクションの trigger_id の有効期限 (3秒) 内だけなので、非同期処理に回さずハンドラーで開く
+// 理由の選択肢はテンプレートの changeReasons (メッセージの注記と同じ表示。messageTemplates で追加した分類も並ぶ)
+const CHANGE_REASON_CALLBACK_ID = 'change_reason_modal';
+const MAX_CHANGE_REASON_COMMENT_LENGTH = 200;
+
+// ★ モーダルを開く (開けなかった場合は false。呼び出し側は理由なしで変更を続ける)
+// ACK 前に呼ばれるので、ストレージは読まずにボタンの value だけで開く (グループの解決は view_submission の非同期処理で行う)
+const openChangeReasonModal = async (payload) => {
+  const action = payload.actions[0];
+  const isSelectAction = action.action_id === 'select_duty_member_action';
+  const buttonValue = JSON.parse((isSelectAction ? action.selected_option?.value : action.value) || '{}');
+  // 変更に必要な情報は private_metadata に入れて view_submission で受け取る
+  const metadata = {
+    current_member_id: buttonValue.current_member_id,
+    new_member_id: buttonValue.new_member_id,
+    role_id: buttonValue.role_id,
+    channel_id: payload.container?.channel_id,
+    message_ts: payload.container?.message_ts,
+    is_select: isSelectAction,
+    locale: buttonValue.locale,
+  };
 
   try {
-    await slackClient.chat.update({
+    const messages = getMessagesForLocale(metadata.locale);
+    const summary = isSelectAction
+      ? messages.render('changeModalToMember', { current: `<@${metadata.current_member_id}>`, next: `<@${metadata.new_member_id}>` })
+      : messages.render('changeModalToNext', { current: `<@${metadata.current_member_id}>` });
+    const options = Object.entries(messages.changeReasons).map(([value, label]) => ({ text: { type: 'plain_text', text: label }, value }));
+
+    await slackClient.views.open({
+      trigger_id: payload.trigger_id,
+      view: {
+        type: 'modal',
+        callback_id: CHANGE_REASON_CALLBACK_ID,
+        private_metadata: JSON.stringify(metadata),
+        title: { type: 'plain_text', text: messages.render('changeModalTitle') },
+        submit: { type: 'plain_text', text: messages.render('changeModalSubmit') },
+        close: { type: 'plain_text', text: messages.render('changeModalClose') },
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text: summary } },
+          {
+            type: 'input',
+            block_id: 'reason_category',
+            label: { type: 'plain_text', text: messages.render('changeModalReason') },
+            element: {
+              type: 'static_select',
+              action_id: 'reason_category_select',
+              placeholder: { type: 'plain_text', text: messages.render('changeModalReasonPlaceholder') },
+              options,
+            },
+          },
+          {
+            type: 'input',
+            block_id: 'reason_comment',
+            optional: true,
+            label: { type: 'plain_text', text: messages.render('changeModalComment') },
+            element: { type: 'plain_text_input', action_id: 'reason_comment_input', multiline: true, max_length: MAX_CHANGE_REASON_COMMENT_LENGTH },
+          },
+        ],
+      },
+    });
+    logger.info(`Opened change reason modal for ${metadata.current_member_id} by ${payload.user?.id}`);
+    return true;
+  } catch (error) {
+    logger.error(`Failed to open change reason modal: ${error.data?.error || error.message}`);
+    return false;
+  }
+};
+
+// ★ モーダルの送信 (view_submission) を受けて担当者を変更
+const handleChangeReasonSubmission = async (payload) => {
+  const metadata = JSON.parse(payload.view?.private_metadata || '{}');
+  const values = payload.view?.state?.values || {};
+  const changeReason = {
+    category: values.reason_category?.reason_category_select?.selected_option?.value || 'other',
+    comment: (values.reason_comment?.reason_comment_input?.value || '').trim() || null,
+  };
+  try {
+    return await processReselectRequest({
+      currentMemberId: metadata.current_member_id,
+      newMemberId: metadata.new_member_id,
+      roleId: metadata.role_id,
+      channelId: metadata.channel_id,
+      messageTs: metadata.message_ts,
+      userId: payload.user?.id,
+      isSelectAction: !!metadata.is_select,
+      changeReason,
+    });
+  } catch (error) {
+    logger.error(`Error handling change reason submission: ${error.message}`);
+    logger.error(error.stack);
+    // モーダルは閉じているので、チャンネルで本人にだけ伝える (リトライでは入力した理由のまま変更する)
+    if (metadata.channel_id && payload.user?.id) {
+      const messages = getMessagesForLocale(metadata.locale);
+      await postRetryableError(metadata.channel_id, payload.user.id, messages.render('changeFailed', { message: error.message || messages.render('unknownError') }), {
+        action_id: metadata.is_select ? 'select_duty_member_action' : 'reselect_duty_action',
+        value: JSON.stringify({ current_member_id: metadata.current_member_id, new_member_id: metadata.new_member_id, role_id: metadata.role_id, locale: metadata.locale, change_reason: changeReason }),
+        message_ts: metadata.message_ts,
+      }, messages);
+    }
+    return { statusCode: 200, body: 'OK (Internal server error occurred)' };
+  }
+};
+
+// --- 失敗した操作のリトライ ---
+// 処理に失敗しても日直メッセージは書き換えず、押した本人にだけエラーと「もう一度試す」ボタンを送る
+// ボタンの value には元の操作 (action_id・value・日直メッセージの ts) を入れておき、押されたら同じ操作をやり直す
+const RETRY_ACTION_ID = 'retry_duty_action';
+
+// 元の操作 (リトライボタンが押された場合はそのボタンが持っている操作)
+const toRetryValue = (payload) => {
+  const action = payload?.actions?.[0];
+  if (!action) return null;
+  if (action.action_id === RETRY_ACTION_ID) return JSON.parse(action.value || '{}');
+  return { action_id: action.action_id, value: action.selected_option?.value ?? action.value, message_ts: payload.container?.message_ts };
+};
+
+// ★ エラーを本人にだけ伝える (retry を渡すとリトライボタンを付ける。ボタンの文言は messages の言語)
+const postRetryableError = async (channelId, userId, text, retry, messages = defaultMessages) => {
+  try {
+    await slackClient.chat.postEphemeral({
       channel: channelId,
-      ts: messageTs,
-      text: fallbackText, // フォールバックテキスト
-      blocks: [
-        // ★ 1. 新担当者通知ブロック
-        {
-          "type": "section",
-          "text": {
-            "type": "mrkdwn",
-            "text": mainMessage
-          }
-        },
-        // ★ 2. ボタンブロック (変更なし)
-        {
-          "type": "actions",
-          "block_id": "duty_actions",
-          "elements": [
-            {
-              "type": "button",
-              "text": { "type": "plain_text", "text": "担当を変更する", "emoji": true },
-              "style": "danger",
-              "action_id": "reselect_duty_action",
-              "value": JSON.stringify({ current_member_id: newMemberId })
-            }
-          ]
-        },
-        // ★ 3. 変更履歴ブロック (Context)
-        {
-          "type": "context",
-          "elements": [
-            {
-              "type": "mrkdwn",
-              "text": contextMessage
-            }
-          ]
-        },
-        // ★ 4. メンバーリストブロック (divider + context) (変更なし)
-        ...memberListBlocks
-      ]
+      user: userId,
+      text,
+      ...(retry ? {
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text } },
+          {
+            type: 'actions',
+            elements: [{
+              type: 'button',
+              text: { type: 'plain_text', text: messages.render('retryButton'), emoji: true },
+              action_id: RETRY_ACTION_ID,
+              value: JSON.stringify(retry),
+            }],
+          },
+        ],
+      } : {}),
     });
-    logger.info(`Updated Slack message ${messageTs} with new format.`);
+  } catch (slackError) {
+    logger.error(`Failed to send error message to Slack: ${slackError.data?.error || slackError.message}`);
+  }
+};
+
+// ★ 「もう一度試す」ボタン: エラーのメッセージを消し、元の日直メッセージに対する操作としてやり直す
+const handleRetryAction = async (payload) => {
+  const { action_id: actionId, value, message_ts: messageTs } = JSON.parse(payload.actions[0].value || '{}');
+  logger.info(`Retrying ${actionId} on message ${messageTs} by user ${payload.user?.id}`);
+  if (payload.response_url) {
+    await postToResponseUrl(payload.response_url, { delete_original: true });
+  }
+  return await handleBlockActions({
+    ...payload,
+    container: { type: 'message', channel_id: payload.container?.channel_id || payload.channel?.id, message_ts: messageTs },
+    message: undefined, // 元のメッセージの内容はない (了解は State から作り直す)
+    actions: [actionId === 'select_duty_member_action' ? { action_id: actionId, selected_option: { value } } : { action_id: actionId, value }],
+  });
+};
+
+// --- ボタン・ドロップダウン (block_actions) の処理 ---
+const handleBlockActions = async (payload) => {
+  try {
+    const action = payload.actions[0];
+    if (action.action_id === RETRY_ACTION_ID) {
+      return await handleRetryAction(payload);
+    }
+    if (action.action_id === 'acknowledge_duty_action') {
+      return await handleAcknowledgeAction(payload);
+    }
+    if (action.action_id === 'swap_accept_action' || action.action_id === 'swap_decline_action') {
+      return await handleSwapResponse(payload);
+    }
+    if (action.action_id === 'undo_duty_action') {
+      return await handleUndoAction(payload);
+    }
+
+    // --- 3. 必要な情報をペイロードから抽出 ---
+    // ドロップダウンの場合は選択肢の value に交代先の ID も入っている (モーダルからのリトライでは理由 change_reason も)
+    const isSelectAction = action.action_id === 'select_duty_member_action';
+    const buttonValue = JSON.parse((isSelectAction ? action.selected_option?.value : action.value) || '{}');
+    return await processReselectRequest({
+      currentMemberId: buttonValue.current_member_id, // ボタンに紐づいた担当者
+      newMemberId: buttonValue.new_member_id,         // ドロップダウンで選ばれた交代先
+      roleId: buttonValue.role_id,
+      channelId: payload.container?.channel_id,
+      messageTs: payload.container?.message_ts,       // 元のメッセージのタイムスタンプ
+      userId: payload.user?.id,                       // ボタンを押したユーザーのID
+      isSelectAction,
+      changeReason: buttonValue.change_reason,
+    });
+
   } catch (error) {
-    logger.error(`Error updating Slack message ${messageTs}: ${error.data?.error || error.message}`);
+    logger.error(`Error handling Slack interaction: ${error.message}`);
+    logger.error(error.stack); // スタックトレースも出力
+
+    // ★ 日直メッセージはそのまま残し (今日の担当者の記録を消さない)、押した本人にだけエラーとリトライボタンを送る
+    if (payload?.container?.channel_id && payload?.user?.id) {
+      await postRetryableError(payload.container.channel_id, payload.user.id, defaultMessages.errorText(error), toRetryValue(payload));
+    }
+    return { statusCode: 200, body: 'OK (Internal server error occurred)' };
+  }
+};
+
+// --- App Home (Events API の app_home_opened) ---
+// ホームタブを開いたユーザーごとに、所属するローテーションの今日の担当者・本人の回数と最後の担当日・交代の順番 (「担当を変更する」を押した場合の順)・メンバー表を表示する
+const MAX_HOME_UPCOMING = 5; // 「交代の順番」に表示する人数
+
+// 最後に担当した日 (DutyState の直近の担当者、なければ今年と昨年の担当履歴から)
+// 履歴は同じ日に交代があれば最後の記録がその日の担当者
+const findLastDutyDate = async (roleGroup, state, memberId, todayStr) => {
+  const stateDates = [
+    ...(state.currentAssignedMemberId === memberId && state.assignmentDate ? [state.assignmentDate] : []),
+    ...(state.recentAssignments || []).filter(entry => entry.memberId === memberId).map(entry => entry.date),
+  ].filter(date => date <= todayStr);
+  if (stateDates.length > 0 || !storage.hasHistory) {
+    return stateDates.sort().at(-1) || null;
+  }
+  const year = Number(todayStr.slice(0, 4));
+  const records = (await Promise.all([`${year - 1}-`, `${year}-`].map(prefix => storage.listHistory(roleGroup, prefix)))).flat();
+  const finalAssignees = new Map();
+  records.forEach(record => finalAssignees.set(record.assignmentDate, record.memberId)); // 古い順なので後の記録で上書き
+  return [...finalAssignees].filter(([date, id]) => id === memberId && date <= todayStr).map(([date]) => date).sort().at(-1) || null;
+};
+
+// グループ1つ分のブロック
+const createHomeGroupBlocks = async (group, userId) => {
+  const messages = createMessageTemplates(group);
+  const todayStr = getTodayInZone(group.timeZone);
+  const roleGroups = getRoleGroups(group);
+  const baseMembers = await getAllMembers(group);
+  const membersById = new Map(baseMembers.map(m => [m.memberId, m]));
+  const nameOf = (memberId) => membersById.get(memberId)?.memberName || memberId;
+  const isMember = membersById.has(userId);
+  const multipleRoles = roleGroups.length > 1;
+
+  const todayLines = [];
+  const personalLines = [];
+  const upcomingLines = [];
+  for (const roleGroup of roleGroups) {
+    const label = multipleRoles ? `${roleGroup.role.name}: ` : '';
+    const state = await getDutyState(roleGroup);
+    const members = baseMembers.map(m => ({ ...m, dutyCount: Number(m[roleGroup.countAttribute]) || 0 })); // getAllMembers(roleGroup) と同じ
+    const assigned = state.assignmentDate === todayStr && state.currentAssignedMemberId;
+    const assignee = assigned
+      ? `${messages.render('homeAssignee', { name: nameOf(state.currentAssignedMemberId) })}${state.acknowledgedAt ? messages.render('homeAcknowledged') : ''}`
+      : messages.render('homeNotAssigned');
+    todayLines.push(`• ${label}${assignee}`);
+
+    if (isMember) {
+      const member = members.find(m => m.memberId === userId);
+      const lastDate = await findLastDutyDate(roleGroup, state, userId, todayStr);
+      personalLines.push(`• ${label}${messages.render('homeMyCountItem', {
+        count: member.dutyCount,
+        lastDate: lastDate ? messages.formatDate(lastDate) : messages.render('homeNoLastDate'),
+      })}`);
+    }
+
+    if (hasValidRotation(state)) {
+      const upcoming = getUpcomingMembers(state, members).slice(0, MAX_HOME_UPCOMING)
+        .map(m => (m.memberId === userId ? messages.render('homeYou', { name: m.memberName || m.memberId }) : (m.memberName || m.memberId)));
+      upcomingLines.push(`${label}${upcoming.length > 0 ? upcoming.join(' → ') : messages.render('noOtherMember')}`);
+    }
+  }
+
+  const section = (text) => ({ type: 'section', text: { type: 'mrkdwn', text } });
+  return [
+    { type: 'header', text: { type: 'plain_text', text: group.name } },
+    section(`${messages.render('homeToday', {
+      date: messages.formatDate(todayStr),
+      role: multipleRoles ? messages.render('homeRolesLabel') : roleGroups[0].role.name,
+    })}\n${todayLines.join('\n')}`),
+    section(isMember ? `${messages.render('homeMyCounts')}\n${personalLines.join('\n')}` : messages.render('homeNotMember')),
+    ...(upcomingLines.length > 0 ? [section(`${messages.render('homeUpcomingTitle')}\n${upcomingLines.join('\n')}`)] : []),
+    ...messages.createMemberListBlocks(baseMembers, todayStr, roleGroups),
+  ];
+};
+
+// ★ ホームタブを作成して公開 (views.publish)
+const publishAppHome = async (userId) => {
+  const groups = await getRotationGroups();
+  const groupBlocks = [];
+  for (const group of groups) {
+    groupBlocks.push(...(groupBlocks.length > 0 ? [{ type: 'divider' }] : []), ...await createHomeGroupBlocks(group, userId));
+  }
+  const blocks = groupBlocks.length > 0
+    ? groupBlocks
+    : [{ type: 'section', text: { type: 'mrkdwn', text: defaultMessages.render('noGroups') } }];
+  await slackClient.views.publish({ user_id: userId, view: { type: 'home', blocks } });
+  logger.info(`Published App Home for ${userId} (${groups.length} groups)`);
+};
+
+// ★ Events API のリクエスト (JSON) を処理
+// url_verification: イベント購読の URL を登録するときの確認。challenge をそのまま返す
+// app_home_opened: ホームタブの作成は非同期で行い、Slack にはすぐ ACK を返す (3秒以内に返さないと再送される)
+const handleEventsApiRequest = async (body, context) => {
+  if (body.type === 'url_verification') {
+    logger.info("Responding to Events API url_verification.");
+    return { statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ challenge: body.challenge }) };
   }
+  const slackEvent = body.event;
+  if (body.type === 'event_callback' && slackEvent?.type === 'app_home_opened' && slackEvent.tab === 'home') {
+    logger.info(`App Home opened by ${slackEvent.user}`);
+    await dispatchAsyncJob({ type: 'app_home_opened', userId: slackEvent.user }, context);
+    return { statusCode: 200, body: 'OK (Accepted)' };
+  }
+  logger.info(`Ignoring Events API request: type=${body.type}, event=${slackEvent?.type}`);
+  return { statusCode: 200, body: 'OK (Ignoring event)' };
 };
 
+// --- 非同期処理 ---
+// Slack は3秒以内に ACK を期待するので、ハンドラーは署名検証と解析だけして 200 を返し、
+// DynamoDB の更新やメッセージ更新はこの Lambda 自身を非同期 (InvocationType: Event) で呼び出して行う
 
+// response_url へメッセージを送る (スラッシュコマンドの結果や非同期処理のエラー通知用)
+const postToResponseUrl = async (responseUrl, message) => {
+  if (!responseUrl) {
+    logger.warn("No response_url in payload. Cannot reply.");
+    return;
+  }
+  try {
+    const response = await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+    });
+    if (!response.ok) {
+      logger.error(`response_url returned ${response.status}: ${await response.text()}`);
+    }
+  } catch (error) {
+    logger.error(`Error posting to response_url: ${error.message}`);
+  }
+};
+
+// 非同期ジョブの本体 (job.type: 'slash_command' | 'block_actions' | 'change_reason_submission' | 'app_home_opened')
+const processAsyncJob = async (job) => {
+  logger.info(`Processing async job: ${job.type}`);
+  const responseUrl = job.type === 'slash_command' ? job.body?.response_url : job.payload?.response_url;
+  try {
+    switch (job.type) {
+      case 'slash_command': {
+        const reply = await handleSlashCommand(job.body);
+        await postToResponseUrl(responseUrl, reply);
+        return { statusCode: 200, body: 'OK (Slash command processed)' };
+      }
+      case 'block_actions':
+        return await handleBlockActions(job.payload);
+      case 'change_reason_submission':
+        return await handleChangeReasonSubmission(job.payload);
+      case 'app_home_opened':
+        await publishAppHome(job.userId);
+        return { statusCode: 200, body: 'OK (App Home published)' };
+      default:
+        logger.warn(`Unknown async job type: ${job.type}`);
+        return { statusCode: 200, body: 'OK (Unknown job)' };
+    }
+  } catch (error) {
+    // 個別の処理で捕捉できなかったエラーは、操作した本人にだけ伝える
+    logger.error(`Error processing async job ${job.type}: ${error.message}`);
+    logger.error(error.stack);
+    await postToResponseUrl(responseUrl, {
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: defaultMessages.errorText(error),
+    });
+    return { statusCode: 200, body: 'OK (Async job failed)' };
+  }
+};
+
+// 非同期ジョブを起動 (Lambda 以外で動かしている場合はその場で処理)
+const dispatchAsyncJob = async (job, context) => {
+  if (!context?.invokedFunctionArn) {
+    logger.info(`No Lambda context. Processing ${job.type} job inline.`);
+    await processAsyncJob(job);
+    return;
+  }
+  await lambdaClient.send(new InvokeCommand({
+    FunctionName: context.invokedFunctionArn,
+    InvocationType: 'Event',
+    Payload: Buffer.from(JSON.stringify({ asyncJob: job })),
+  }));
+  logger.info(`Dispatched async ${job.type} job to ${context.invokedFunctionArn}`);
+};
 
 // --- Lambdaハンドラー ---
 export const handler = async (event, context) => {
+  // ★ 自分自身からの非同期呼び出し (Slack への ACK は返却済み)
+  if (event?.asyncJob) {
+    const result = await processAsyncJob(event.asyncJob);
+    logger.info(`Async job finished: ${result.body}`);
+    return result;
+  }
+
   // ★ API Gateway v2/HTTP APIペイロードを想定。v1/REST API Proxyの場合は少し異なる可能性あり。
   //    Lambdaコンソールでのテスト時には、実際のAPI Gatewayからのevent形式を模倣する必要あり。
   // logger.info(`Raw event: ${JSON.stringify(event)}`); // デバッグ用に生イベントを出力
@@ -274,10 +1830,25 @@ export const handler = async (event, context) => {
   }
 
   // --- 2. ペイロード解析 ---
+  let parsedBody;
   let payload;
   try {
+    // ★ Events API (App Home) のリクエストは JSON で届く
+    const contentType = event.headers['content-type'] || event.headers['Content-Type'] || '';
+    if (contentType.includes('application/json')) {
+      return await handleEventsApiRequest(JSON.parse(event.body), context);
+    }
+
     // Slackインタラクションのペイロードは x-www-form-urlencoded 形式の body に 'payload' キーで格納されている
-    const parsedBody = querystring.parse(event.body);
+    parsedBody = querystring.parse(event.body);
+
+    // ★ スラッシュコマンドは payload ではなく command / text キーで届く
+    // 空の 200 で ACK し、結果は非同期処理から response_url に送る
+    if (parsedBody.command) {
+      await dispatchAsyncJob({ type: 'slash_command', body: parsedBody }, context);
+      return { statusCode: 200, body: '' };
+    }
+
     const payloadStr = parsedBody.payload;
     if (!payloadStr || typeof payloadStr !== 'string') {
       throw new Error("Payload string not found or not a string in body");
@@ -286,6 +1857,12 @@ export const handler = async (event, context) => {
     logger.info(`Interaction payload received: type=${payload.type}, action_id=${payload.actions?.[0]?.action_id}`);
     // logger.debug(`Full payload: ${JSON.stringify(payload)}`); // 詳細デバッグ用
 
+    // ★ 担当者変更の理由モーダルの送信。空の 200 でモーダルを閉じ、変更は非同期で行う
+    if (payload.type === 'view_submission' && payload.view?.callback_id === CHANGE_REASON_CALLBACK_ID) {
+      await dispatchAsyncJob({ type: 'change_reason_submission', payload }, context);
+      return { statusCode: 200, body: '' };
+    }
+
     // Block Kitのボタンアクションか確認
     if (payload.type !== 'block_actions' || !payload.actions || payload.actions.length === 0) {
       logger.info("Not a block_actions payload or no actions found. Acknowledging.");
@@ -293,103 +1870,38 @@ export const handler = async (event, context) => {
     }
 
     const action = payload.actions[0];
-    // notifyDutyHandlerで設定したaction_idか確認
-    if (action.action_id !== 'reselect_duty_action') {
+    // notifyDutyHandlerで設定したaction_id (ボタン or ドロップダウン) か確認
+    if (!['acknowledge_duty_action', 'reselect_duty_action', 'select_duty_member_action', 'undo_duty_action', RETRY_ACTION_ID, 'swap_accept_action', 'swap_decline_action'].includes(action.action_id)) {
       logger.info(`Ignoring action_id: ${action.action_id}. Acknowledging.`);
       return { statusCode: 200, body: 'OK (Ignoring action)' };
     }
 
-    // --- 3. 必要な情報をペイロードから抽出 ---
-    const buttonValue = JSON.parse(action.value || '{}');
-    const currentMemberIdFromButton = buttonValue.current_member_id; // ボタンに紐づいた担当者
-    const channelId = payload.container?.channel_id;
-    const messageTs = payload.container?.message_ts; // 元のメッセージのタイムスタンプ
-    const userId = payload.user?.id; // ボタンを押したユーザーのID
-
-    if (!currentMemberIdFromButton || !channelId || !messageTs) {
-      logger.error("Missing required info (current_member_id, channel_id, message_ts) in payload.");
-      // エラーをユーザーに伝えるのは難しいのでログに残す
-      return { statusCode: 200, body: 'OK (Missing info in payload)' }; // SlackにはACKを返す
+    // ★ 「担当を変更する」・ドロップダウンは理由の入力モーダルを開く (開けなければ理由なしでそのまま変更する)
+    if ((action.action_id === 'reselect_duty_action' || action.action_id === 'select_duty_member_action') && await openChangeReasonModal(payload)) {
+      return { statusCode: 200, body: 'OK (Reason modal opened)' };
     }
-    logger.info(`Reselection requested for current member ${currentMemberIdFromButton} in channel ${channelId}, message ${messageTs} by user ${userId}`);
-
-    // --- ここからが実際の再選出処理 ---
-    // Slackは3秒以内にACK応答を期待するため、重い処理は非同期化推奨だが、
-    // 今回は同期的に処理してみる
-
-    // --- 再選出処理 ---
-    // ★★★ DutyState からローテーションリストと現在のインデックスを取得 ★★★
-    const currentState = await getDutyState();
-    const rotationList = currentState.rotationList;
-    const currentListIndex = currentState.currentListIndex;
-    // 念のため、ボタンのIDとStateのIDが一致するか確認 (通常は一致するはず)
-    if (currentState.currentAssignedMemberId !== currentMemberIdFromButton) {
-      logger.warn(`Button member ID (${currentMemberIdFromButton}) does not match current state member ID (${currentState.currentAssignedMemberId}). Proceeding based on button value.`);
-      // ボタンの値を正として進めるか、エラーにするか選択。ここではボタンの値で進める。
-    }
-
-
-    if (!rotationList || rotationList.length === 0 || currentListIndex === undefined || currentListIndex < 0) {
-      logger.error("Invalid rotation data in DutyState. Cannot proceed with reselection.");
-      await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: "エラー: ローテーション情報が見つからないため、担当者を変更できません。" });
-      return { statusCode: 200, body: 'OK (Invalid rotation state)' };
-    }
-    if (rotationList.length <= 1) {
-      logger.warn("Only one member in rotation list. Cannot reselect.");
-      await slackClient.chat.postEphemeral({ channel: channelId, user: userId, text: "交代できる他の担当がいません。" });
-      return { statusCode: 200, body: 'OK (Only one member)' };
-    }
-
 
-    // ★ 次の担当者のインデックスとIDを決定
-    const nextIndex = (currentListIndex + 1) % rotationList.length;
-    const newMemberId = rotationList[nextIndex];
-    logger.info(`Next member determined from rotation list: Index ${nextIndex}, ID ${newMemberId}`);
-
-    // ★ DynamoDB更新 (カウント増減 + StateのIndex/MemberId更新)
-    await updateDutyDataOnReselect(currentMemberIdFromButton, newMemberId, nextIndex, currentState);
-
-    // ★ Slackメッセージ更新用の情報を取得
-    //   最新のメンバー情報(カウント反映後)と、新しい担当者の詳細情報が必要
-    const [updatedMembers, newMemberDetailsList] = await Promise.all([
-      getAllMembers(), // 最新の全メンバーリスト(表示用)
-      docClient.send(new GetCommand({ TableName: membersTableName, Key: { memberId: newMemberId } })) // 新担当者の詳細取得
-    ]);
-    const newMember = newMemberDetailsList.Item; // 新担当者のオブジェクト
-
-    if (!newMember) {
-      logger.error(`Failed to get details for the newly selected member ${newMemberId}`);
-      // エラー処理...（メッセージ更新は試みる）
-      await updateSlackMessage(channelId, messageTs, { memberId: newMemberId }, currentMemberIdFromButton, userId, updatedMembers, currentState); // IDだけでも渡す
-      return { statusCode: 200, body: 'OK (Failed to get new member details)' };
-    }
-
-
-    // ★ Slackメッセージ更新
-    await updateSlackMessage(channelId, messageTs, newMember, currentMemberIdFromButton, userId, updatedMembers, currentState);
-
-    logger.info("List rotation reselection process completed successfully.");
-    return { statusCode: 200, body: 'OK (List rotation reselection processed)' };
+    // --- 3. 了解・再選出は非同期で実行し、Slack にはすぐ ACK を返す ---
+    await dispatchAsyncJob({ type: 'block_actions', payload }, context);
+    return { statusCode: 200, body: 'OK (Accepted)' };
 
   } catch (error) {
-    logger.error(`Error handling Slack interaction: ${error.message}`);
+    logger.error(`Error accepting Slack request: ${error.message}`);
     logger.error(error.stack); // スタックトレースも出力
 
     // エラーが発生した場合でもSlackにはACK(200 OK)を返すのが一般的
-    // 可能であれば元のメッセージを更新してエラーを伝える試み
-    try {
-      if (payload?.container?.channel_id && payload?.container?.message_ts) {
-        await slackClient.chat.update({
-          channel: payload.container.channel_id,
-          ts: payload.container.message_ts,
-          text: `エラーが発生しました: ${error.message || '不明なエラー'}`,
-          blocks: []
-        });
-      }
-    } catch (slackError) {
-      logger.error(`Failed to send error update to Slack: ${slackError}`);
+    // 非同期処理を起動できなかったことを操作した本人にだけ伝える
+    const errorText = defaultMessages.render('requestFailed', { message: error.message || defaultMessages.render('unknownError') });
+    if (parsedBody?.command) {
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(commandReply(errorText)),
+      };
+    }
+    if (payload?.container?.channel_id && payload?.user?.id) {
+      await postRetryableError(payload.container.channel_id, payload.user.id, errorText, payload.type === 'block_actions' ? toRetryValue(payload) : null);
     }
-
     return { statusCode: 200, body: 'OK (Internal server error occurred)' };
   }
 };
@@ -0,0 +1,461 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, ScanCommand, GetCommand, PutCommand, DeleteCommand, UpdateCommand, QueryCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+
+// --- ストレージ (メンバー・DutyState・担当履歴などの永続化) ---
+// ※ DailyDutyNotifier/storage.js と ReselectDutyHandler/storage.js は同じ内容 (Lambda ごとに zip するため両方に置いている)
+//
+// どのバックエンドも同じメソッドを持つ:
+//   listGroups()                         ローテーショングループの項目一覧 (グループの設定がなければ null)
+//   getCalendar(calendarId)              共有の休日カレンダー項目 (なければ null)
+//   listMembers(group)                   グループのメンバー項目一覧
+//   getMember(group, memberId)           メンバー項目 (なければ null)
+//   putMember(group, member)             メンバーを追加 (同じ memberId がすでにあれば書き込まずに false)
+//   updateMember(group, memberId, fields) メンバーの一部の項目を更新 (メンバーがいなければ書き込まずに false)
+//   getState(group)                      DutyState の項目 (なければ null)
+//   updateState(group, fields, opts)     State の一部の項目を更新 (opts.expect の値と一致しなければ書き込まずに false)
+//   commitDutyChange(group, change)      担当の決定・変更 (カウント増減 + State の置き換え + 履歴の追記) をまとめて書き込む
+//   listHistory(group, prefix)           historyId が prefix で始まる担当履歴 (古い順)
+//   hasHistory                           担当履歴を記録できるかどうか
+//   listReservations(group, fromDate)    fromDate 以降の担当予約 (日付順)
+//   putReservation(group, reservation)   担当予約を追加 (同じ日の予約がすでにあれば書き込まずに false)
+//   deleteReservation(group, date)       担当予約を削除 (削除した予約、なければ null を返す)
+//   hasReservations                      担当予約を記録できるかどうか
+//
+// commitDutyChange の change:
+//   countChanges          [{ memberId, delta }] カウントの増減 (group.countAttribute の属性。省略時は dutyCount)
+//   state                 書き込む State 項目 (全体を置き換える)
+//   expect                { 属性: 値 } 現在の State がこの値のときだけ書き込む (同時クリック対策)
+//   expectNotAssignedOn   'yyyy-MM-dd' State がない or 別の日の State のときだけ書き込む (二重実行対策)
+//   history               追記する担当履歴 (省略可)
+//   reservation           追加する担当予約 { reservationDate, memberId, ... } (省略可。同じ日の予約がすでにあれば書き込まない)
+// 条件を満たさなかった場合は何も書き込まずに false を返す。
+
+const logger = console;
+
+// ★ DynamoDB 実装
+export const createDynamoStorage = ({ region, stateTableName, historyTableName, groupsTableName, calendarsTableName, reservationsTableName }) => {
+  const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({ region }));
+
+  const scanAll = async (tableName) => {
+    const items = [];
+    let exclusiveStartKey;
+    do {
+      const { Items, LastEvaluatedKey } = await docClient.send(new ScanCommand({ TableName: tableName, ExclusiveStartKey: exclusiveStartKey }));
+      items.push(...(Items || []));
+      exclusiveStartKey = LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return items;
+  };
+
+  // 条件付き書き込みの失敗 (他の実行・クリックが先に State を更新した) かどうか
+  const isConditionalCheckFailure = (error) =>
+    error?.name === 'ConditionalCheckFailedException' ||
+    (error?.name === 'TransactionCanceledException' &&
+      (error.CancellationReasons || []).some(reason => reason?.Code === 'ConditionalCheckFailed'));
+
+  // { 属性: 値 } から「すべて一致」の条件式を作る
+  const buildExpectCondition = (expect) => {
+    const entries = Object.entries(expect);
+    return {
+      ConditionExpression: entries.map((_, i) => `#e${i} = :e${i}`).join(' AND '),
+      ExpressionAttributeNames: Object.fromEntries(entries.map(([name], i) => [`#e${i}`, name])),
+      ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:e${i}`, value])),
+    };
+  };
+
+  return {
+    hasHistory: !!historyTableName,
+    hasReservations: !!reservationsTableName,
+
+    listGroups: async () => {
+      if (!groupsTableName) return null;
+      try {
+        return await scanAll(groupsTableName);
+      } catch (error) {
+        logger.error(`Error scanning groups from ${groupsTableName}: ${error}`);
+        throw error;
+      }
+    },
+
+    getCalendar: async (calendarId) => {
+      if (!calendarsTableName) {
+        throw new Error(`Holiday calendar ${calendarId} requires CALENDARS_TABLE_NAME.`);
+      }
+      try {
+        const { Item } = await docClient.send(new GetCommand({ TableName: calendarsTableName, Key: { calendarId } }));
+        return Item || null;
+      } catch (error) {
+        logger.error(`Error getting holiday calendar ${calendarId} from ${calendarsTableName}: ${error}`);
+        throw error;
+      }
+    },
+
+    listMembers: async (group) => {
+      try {
+        return await scanAll(group.membersTableName);
+      } catch (error) {
+        logger.error(`Error scanning members from ${group.membersTableName}: ${error}`);
+        throw error;
+      }
+    },
+
+    getMember: async (group, memberId) => {
+      try {
+        const { Item } = await docClient.send(new GetCommand({ TableName: group.membersTableName, Key: { memberId } }));
+        return Item || null;
+      } catch (error) {
+        logger.error(`Error getting member ${memberId} from ${group.membersTableName}: ${error}`);
+        throw error;
+      }
+    },
+
+    putMember: async (group, member) => {
+      try {
+        await docClient.send(new PutCommand({
+          TableName: group.membersTableName,
+          Item: member,
+          ConditionExpression: "attribute_not_exists(memberId)",
+        }));
+        return true;
+      } catch (error) {
+        if (isConditionalCheckFailure(error)) return false;
+        logger.error(`Error putting member ${member.memberId} to ${group.membersTableName}: ${error}`);
+        throw error;
+      }
+    },
+
+    updateMember: async (group, memberId, fields) => {
+      const entries = Object.entries(fields);
+      try {
+        await docClient.send(new UpdateCommand({
+          TableName: group.membersTableName,
+          Key: { memberId },
+          UpdateExpression: `SET ${entries.map((_, i) => `#f${i} = :f${i}`).join(', ')}`,
+          ConditionExpression: "attribute_exists(memberId)",
+          ExpressionAttributeNames: Object.fromEntries(entries.map(([name], i) => [`#f${i}`, name])),
+          ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:f${i}`, value])),
+        }));
+        return true;
+      } catch (error) {
+        if (isConditionalCheckFailure(error)) return false;
+        logger.error(`Error updating member ${memberId} in ${group.membersTableName}: ${error}`);
+        throw error;
+      }
+    },
+
+    getState: async (group) => {
+      try {
+        const { Item } = await docClient.send(new GetCommand({ TableName: stateTableName, Key: { stateId: group.stateId } }));
+        return Item || null;
+      } catch (error) {
+        logger.error(`Error getting duty state from ${stateTableName}: ${error}`);
+        throw error;
+      }
+    },
+
+    updateState: async (group, fields, { expect } = {}) => {
+      const entries = Object.entries(fields);
+      const condition = expect ? buildExpectCondition(expect) : {};
+      const command = new UpdateCommand({
+        TableName: stateTableName,
+        Key: { stateId: group.stateId },
+        UpdateExpression: `SET ${entries.map((_, i) => `#f${i} = :f${i}`).join(', ')}`,
+        ...(expect ? { ConditionExpression: condition.ConditionExpression } : {}),
+        ExpressionAttributeNames: {
+          ...Object.fromEntries(entries.map(([name], i) => [`#f${i}`, name])),
+          ...condition.ExpressionAttributeNames,
+        },
+        ExpressionAttributeValues: {
+          ...Object.fromEntries(entries.map(([, value], i) => [`:f${i}`, value])),
+          ...condition.ExpressionAttributeValues,
+        },
+      });
+      try {
+        await docClient.send(command);
+        return true;
+      } catch (error) {
+        if (isConditionalCheckFailure(error)) return false;
+        logger.error(`Error updating duty state ${group.stateId}: ${error}`);
+        throw error;
+      }
+    },
+
+    commitDutyChange: async (group, { countChanges = [], state, expect, expectNotAssignedOn, history, reservation }) => {
+      if (reservation && !reservationsTableName) {
+        throw new Error("Duty reservations require RESERVATIONS_TABLE_NAME.");
+      }
+      let stateCondition = {};
+      if (expect) {
+        stateCondition = buildExpectCondition(expect);
+      } else if (expectNotAssignedOn) {
+        stateCondition = {
+          ConditionExpression: "attribute_not_exists(stateId) OR assignmentDate <> :today",
+          ExpressionAttributeValues: { ':today': expectNotAssignedOn },
+        };
+      }
+
+      const command = new TransactWriteCommand({
+        TransactItems: [
+          // 1. カウントの増減
+          ...countChanges.map(({ memberId, delta }) => ({
+            Update: {
+              TableName: group.membersTableName, Key: { memberId },
+              UpdateExpression: "ADD #count :delta",
+              ExpressionAttributeNames: { '#count': group.countAttribute || 'dutyCount' }, ExpressionAttributeValues: { ':delta': delta },
+              ConditionExpression: "attribute_exists(memberId)", // いないメンバーの項目は作らない (抜けたメンバーなど)
+            },
+          })),
+          // 2. DutyState の置き換え (条件付き)
+          { Put: { TableName: stateTableName, Item: state, ...stateCondition } },
+          // 3. 担当履歴の追記 (上書きはしない)
+          ...(history && historyTableName
+            ? [{ Put: { TableName: historyTableName, Item: history, ConditionExpression: "attribute_not_exists(historyId)" } }]
+            : []),
+          // 4. 担当予約の追加 (同じ日の予約がない場合のみ)
+          ...(reservation
+            ? [{ Put: { TableName: reservationsTableName, Item: { ...reservation, stateId: group.stateId }, ConditionExpression: "attribute_not_exists(reservationDate)" } }]
+            : []),
+        ],
+      });
+      try {
+        await docClient.send(command);
+        return true;
+      } catch (error) {
+        if (isConditionalCheckFailure(error)) return false;
+        logger.error(`Error committing duty change for ${group.stateId}: ${error}`);
+        throw error;
+      }
+    },
+
+    listHistory: async (group, prefix) => {
+      if (!historyTableName) return [];
+      const records = [];
+      let exclusiveStartKey;
+      try {
+        do {
+          const { Items, LastEvaluatedKey } = await docClient.send(new QueryCommand({
+            TableName: historyTableName,
+            KeyConditionExpression: "stateId = :stateId AND begins_with(historyId, :prefix)",
+            ExpressionAttributeValues: { ':stateId': group.stateId, ':prefix': prefix },
+            ExclusiveStartKey: exclusiveStartKey,
+          }));
+          records.push(...(Items || []));
+          exclusiveStartKey = LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        return records;
+      } catch (error) {
+        logger.error(`Error querying history from ${historyTableName}: ${error}`);
+        throw error;
+      }
+    },
+
+    // DutyReservations テーブル: stateId (パーティション) + reservationDate (ソート, yyyy-MM-dd)
+    listReservations: async (group, fromDate) => {
+      if (!reservationsTableName) return [];
+      const reservations = [];
+      let exclusiveStartKey;
+      try {
+        do {
+          const { Items, LastEvaluatedKey } = await docClient.send(new QueryCommand({
+            TableName: reservationsTableName,
+            KeyConditionExpression: "stateId = :stateId AND reservationDate >= :fromDate",
+            ExpressionAttributeValues: { ':stateId': group.stateId, ':fromDate': fromDate },
+            ExclusiveStartKey: exclusiveStartKey,
+          }));
+          reservations.push(...(Items || []));
+          exclusiveStartKey = LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        return reservations;
+      } catch (error) {
+        logger.error(`Error querying reservations from ${reservationsTableName}: ${error}`);
+        throw error;
+      }
+    },
+
+    putReservation: async (group, reservation) => {
+      if (!reservationsTableName) {
+        throw new Error("Duty reservations require RESERVATIONS_TABLE_NAME.");
+      }
+      try {
+        await docClient.send(new PutCommand({
+          TableName: reservationsTableName,
+          Item: { ...reservation, stateId: group.stateId },
+          ConditionExpression: "attribute_not_exists(reservationDate)",
+        }));
+        return true;
+      } catch (error) {
+        if (isConditionalCheckFailure(error)) return false;
+        logger.error(`Error putting reservation on ${reservation.reservationDate}: ${error}`);
+        throw error;
+      }
+    },
+
+    deleteReservation: async (group, reservationDate) => {
+      if (!reservationsTableName) {
+        throw new Error("Duty reservations require RESERVATIONS_TABLE_NAME.");
+      }
+      try {
+        const { Attributes } = await docClient.send(new DeleteCommand({
+          TableName: reservationsTableName,
+          Key: { stateId: group.stateId, reservationDate },
+          ReturnValues: 'ALL_OLD',
+        }));
+        return Attributes || null;
+      } catch (error) {
+        logger.error(`Error deleting reservation on ${reservationDate}: ${error}`);
+        throw error;
+      }
+    },
+  };
+};
+
+// ★ JSON データ上の実装 (メモリ / ファイル共通)
+// データ構造: {
+//   groups?: [グループ項目],          (省略時は環境変数の1グループ)
+//   calendars?: { calendarId: 項目 },
+//   members: { メンバーテーブル名 (なければ groupId): [メンバー項目] },
+//   states: { stateId: State 項目 },
+//   history: { stateId: [履歴レコード] },
+//   reservations: { stateId: [担当予約] },
+// }
+const createJsonStorage = ({ load, save }) => {
+  const read = () => {
+    const data = load();
+    data.members ||= {};
+    data.states ||= {};
+    data.history ||= {};
+    data.reservations ||= {};
+    return data;
+  };
+  const clone = (value) => (value === undefined || value === null ? null : structuredClone(value));
+  const membersKeyOf = (group) => group.membersTableName || group.groupId;
+  const matchesExpect = (state, expect) => !!state && Object.entries(expect).every(([name, value]) => state[name] === value);
+
+  return {
+    hasHistory: true,
+    hasReservations: true,
+
+    listGroups: async () => clone(read().groups),
+
+    getCalendar: async (calendarId) => clone(read().calendars?.[calendarId]),
+
+    listMembers: async (group) => clone(read().members[membersKeyOf(group)] || []),
+
+    getMember: async (group, memberId) =>
+      clone((read().members[membersKeyOf(group)] || []).find(member => member.memberId === memberId)),
+
+    putMember: async (group, member) => {
+      const data = read();
+      const members = (data.members[membersKeyOf(group)] ||= []);
+      if (members.some(m => m.memberId === member.memberId)) return false;
+      members.push(clone(member));
+      save(data);
+      return true;
+    },
+
+    updateMember: async (group, memberId, fields) => {
+      const data = read();
+      const member = (data.members[membersKeyOf(group)] || []).find(m => m.memberId === memberId);
+      if (!member) return false;
+      Object.assign(member, clone(fields));
+      save(data);
+      return true;
+    },
+
+    getState: async (group) => clone(read().states[group.stateId]),
+
+    updateState: async (group, fields, { expect } = {}) => {
+      const data = read();
+      const current = data.states[group.stateId];
+      if (expect && !matchesExpect(current, expect)) return false;
+      data.states[group.stateId] = { ...(current || { stateId: group.stateId }), ...clone(fields) };
+      save(data);
+      return true;
+    },
+
+    commitDutyChange: async (group, { countChanges = [], state, expect, expectNotAssignedOn, history, reservation }) => {
+      const data = read();
+      const current = data.states[group.stateId];
+      if (expect && !matchesExpect(current, expect)) return false;
+      if (expectNotAssignedOn && current && current.assignmentDate === expectNotAssignedOn) return false;
+      const reservations = (data.reservations[group.stateId] ||= []);
+      if (reservation && reservations.some(r => r.reservationDate === reservation.reservationDate)) return false;
+
+      const members = (data.members[membersKeyOf(group)] ||= []);
+      // DynamoDB と同じく、いないメンバーのカウントは作らずに失敗させる (抜けたメンバーを名前のない項目として復活させない)
+      if (countChanges.some(({ memberId }) => !members.some(m => m.memberId === memberId))) return false;
+      countChanges.forEach(({ memberId, delta }) => {
+        const member = members.find(m => m.memberId === memberId);
+        const countAttribute = group.countAttribute || 'dutyCount';
+        member[countAttribute] = (Number(member[countAttribute]) || 0) + delta;
+      });
+      data.states[group.stateId] = clone(state);
+      if (history) {
+        (data.history[group.stateId] ||= []).push(clone(history));
+      }
+      if (reservation) {
+        reservations.push({ ...clone(reservation), stateId: group.stateId });
+      }
+      save(data);
+      return true;
+    },
+
+    listHistory: async (group, prefix) =>
+      clone((read().history[group.stateId] || [])
+        .filter(record => record.historyId.startsWith(prefix))
+        .sort((a, b) => a.historyId.localeCompare(b.historyId))),
+
+    listReservations: async (group, fromDate) =>
+      clone((read().reservations[group.stateId] || [])
+        .filter(reservation => reservation.reservationDate >= fromDate)
+        .sort((a, b) => a.reservationDate.localeCompare(b.reservationDate))),
+
+    putReservation: async (group, reservation) => {
+      const data = read();
+      const reservations = (data.reservations[group.stateId] ||= []);
+      if (reservations.some(r => r.reservationDate === reservation.reservationDate)) return false;
+      reservations.push({ ...clone(reservation), stateId: group.stateId });
+      save(data);
+      return true;
+    },
+
+    deleteReservation: async (group, reservationDate) => {
+      const data = read();
+      const reservations = data.reservations[group.stateId] || [];
+      const index = reservations.findIndex(r => r.reservationDate === reservationDate);
+      if (index === -1) return null;
+      const [deleted] = reservations.splice(index, 1);
+      save(data);
+      return deleted;
+    },
+  };
+};
+
+// メモリ上のみ (初期データを渡せる。コールドスタートで消える)
+export const createMemoryStorage = (initialData = {}) => {
+  let data = structuredClone(initialData);
+  return createJsonStorage({ load: () => data, save: (next) => { data = next; } });
+};
+
+// JSON ファイルに保存 (ローカル実行や小規模チーム向け。1プロセスからの利用を想定)
+export const createFileStorage = (filePath) => createJsonStorage({
+  load: () => (existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf8')) : {}),
+  save: (data) => writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`),
+});
+
+// ★ 環境変数などの設定からバックエンドを選ぶ
+// backend: 'dynamodb' (既定) | 'file' (filePath に保存) | 'memory' (filePath があれば初期データとして読み込む)
+export const createStorage = ({ backend = 'dynamodb', filePath, ...dynamoOptions }) => {
+  switch (backend) {
+    case 'dynamodb':
+      return createDynamoStorage(dynamoOptions);
+    case 'file':
+      if (!filePath) throw new Error("STORAGE_FILE is required for the file storage backend.");
+      return createFileStorage(filePath);
+    case 'memory':
+      return createMemoryStorage(filePath && existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf8')) : {});
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+};